@@ -22,4 +22,12 @@ export default [{
         "constructor-super": "warn",
         "valid-typeof": "warn",
     },
+}, {
+    files: ["resources/**/*.js"],
+    languageOptions: {
+        globals: {
+            ...globals.browser,
+            acquireVsCodeApi: "readonly",
+        },
+    },
 }];
\ No newline at end of file
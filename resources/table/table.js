@@ -0,0 +1,128 @@
+// resources/table/table.js
+//
+// Grid of the "Open as Table" webview. The extension posts
+// { type: 'table', title, columns, rows }. Clicking a header sorts by that
+// column, the inputs under the headers filter rows, clicking a row reveals its
+// element and double-clicking a cell edits it; edits are posted back as
+// { type: 'edit', elementId, column, value }.
+(function () {
+    const vscode = acquireVsCodeApi();
+    const state = vscode.getState() || { sort: null, filters: {} };
+    const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+    let table = { columns: [], rows: [] };
+
+    const status = document.getElementById('status');
+    const head = document.getElementById('head');
+    const body = document.getElementById('body');
+
+    function visibleRows() {
+        const filters = Object.entries(state.filters).filter(([, value]) => value);
+        const rows = table.rows.filter(row => filters.every(([id, value]) =>
+            (row.cells[id] ?? '').toLowerCase().includes(value.toLowerCase())));
+        if (state.sort) {
+            const { id, descending } = state.sort;
+            rows.sort((a, b) => collator.compare(a.cells[id] ?? '', b.cells[id] ?? '') * (descending ? -1 : 1));
+        }
+        return rows;
+    }
+
+    function renderHead() {
+        const titles = document.createElement('tr');
+        const filters = document.createElement('tr');
+        titles.appendChild(document.createElement('th')).textContent = 'Line';
+        filters.appendChild(document.createElement('th'));
+
+        for (const column of table.columns) {
+            const th = titles.appendChild(document.createElement('th'));
+            th.textContent = column.id;
+            th.title = column.kind === 'attribute' ? `Attribute ${column.name}` : `Child element <${column.name}>`;
+            if (state.sort?.id === column.id) {
+                th.className = state.sort.descending ? 'sorted-descending' : 'sorted-ascending';
+            }
+            th.addEventListener('click', () => {
+                // Ascending, then descending, then document order
+                const current = state.sort?.id === column.id ? state.sort : null;
+                state.sort = !current ? { id: column.id, descending: false }
+                    : !current.descending ? { id: column.id, descending: true }
+                        : null;
+                vscode.setState(state);
+                renderHead();
+                renderBody();
+            });
+
+            const input = filters.appendChild(document.createElement('th')).appendChild(document.createElement('input'));
+            input.placeholder = 'Filter';
+            input.value = state.filters[column.id] || '';
+            input.addEventListener('input', () => {
+                state.filters[column.id] = input.value;
+                vscode.setState(state);
+                renderBody();
+            });
+        }
+        head.replaceChildren(titles, filters);
+    }
+
+    function renderBody() {
+        const rows = visibleRows();
+        body.replaceChildren(...rows.map(row => {
+            const tr = document.createElement('tr');
+            tr.addEventListener('click', event => {
+                if (!event.target.isContentEditable) {
+                    vscode.postMessage({ type: 'reveal', elementId: row.elementId });
+                }
+            });
+            const line = tr.appendChild(document.createElement('td'));
+            line.className = 'line';
+            line.textContent = String(row.line + 1);
+
+            for (const column of table.columns) {
+                const td = tr.appendChild(document.createElement('td'));
+                const value = row.cells[column.id];
+                td.textContent = value ?? '';
+                td.classList.toggle('missing', value === undefined);
+                td.addEventListener('dblclick', () => editCell(td, row, column));
+            }
+            return tr;
+        }));
+        status.textContent = rows.length === table.rows.length
+            ? table.title
+            : `${table.title} (${rows.length} shown)`;
+    }
+
+    function editCell(td, row, column) {
+        const original = row.cells[column.id] ?? '';
+        td.contentEditable = 'true';
+        td.focus();
+        document.getSelection().selectAllChildren(td);
+
+        let cancelled = false;
+        td.onkeydown = event => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                td.blur();
+            } else if (event.key === 'Escape') {
+                cancelled = true;
+                td.blur();
+            }
+        };
+        td.onblur = () => {
+            td.contentEditable = 'false';
+            td.onkeydown = td.onblur = null;
+            const value = td.textContent;
+            if (cancelled || value === original) {
+                td.textContent = original;
+                return;
+            }
+            vscode.postMessage({ type: 'edit', elementId: row.elementId, column, value });
+        };
+    }
+
+    window.addEventListener('message', event => {
+        if (event.data.type === 'table') {
+            table = event.data;
+            renderHead();
+            renderBody();
+        }
+    });
+    vscode.postMessage({ type: 'ready' });
+}());
@@ -1,13 +1,36 @@
 // src/extension.js
 const vscode = require('vscode');
+const crypto = require('crypto');
+const { buildIndex, applyEdit, elementAt } = require('./utils/indexer');
+const { indexInWorker } = require('./utils/workerIndexer');
+const { isStartTagContent } = require('./utils/xmlTokenizer');
+const { formatElementName, shortAlias } = require('./utils/namespaces');
+const { createIndexRules } = require('./utils/indexRules');
+const { compileKeyRules } = require('./utils/keyRules');
+const { createPathResolver, compactPath } = require('./utils/elementPath');
+const { deriveEntries, updateEntries } = require('./utils/indexedEntries');
+const { evaluatePath, suggestNextSteps } = require('./utils/pathQuery');
+const { siblingsOf, navigate } = require('./utils/navigation');
+const { elementFoldingRange, collectFoldingRanges } = require('./utils/folding');
+const { getSelectionSteps } = require('./utils/selectionRanges');
+const { decodeEntities, getElementPreview } = require('./utils/elementText');
+const { collectSymbols, matchesQuery, createExcludeFilter } = require('./utils/workspaceSymbols');
+const { parseFilter, createEntryFilter } = require('./utils/entryFilter');
+const { elementSource, duplicateEdit, deleteEdit, wrapEdit, relocateEdit, moveEdit } = require('./utils/elementEdits');
+const { buildTable, cellEdit } = require('./utils/elementTable');
+const { compileIconRules, resolveIcon } = require('./utils/iconRules');
 
 // Global providers and state
 let xmlIndexedProvider = null;
 let outputChannel = null;
 let globalState = null;
+let workspaceState = null;
 let codeLensEmitter = null;
 let decorationType = null;
 let lastIndexedData = [];
+let diagnosticCollection = null;
+let xmlTreeView = null;
+let extensionUri = null;
 
 // State management
 function isInlineMode() { return globalState?.get('xiInlineMode', false); }
@@ -18,6 +41,12 @@ function isAnnotationMode() { return globalState?.get('xiAnnotationMode', false)
 function setAnnotationMode(val) { return globalState.update('xiAnnotationMode', val); }
 function isNumberMode() { return globalState?.get('xiNumberMode', false); }
 function setNumberMode(val) { return globalState.update('xiNumberMode', val); }
+function isGroupByNamespace() { return globalState?.get('xiGroupByNamespace', false); }
+function setGroupByNamespace(val) { return globalState.update('xiGroupByNamespace', val); }
+function isHierarchyView() { return globalState?.get('xiHierarchyView', false); }
+function setHierarchyView(val) { return globalState.update('xiHierarchyView', val); }
+function isFollowCursor() { return globalState?.get('xiFollowCursor', false); }
+function setFollowCursor(val) { return globalState.update('xiFollowCursor', val); }
 
 // Helper: detect XML documents
 function isXmlDocument(document) {
@@ -29,102 +58,286 @@ function isXmlDocument(document) {
     return /^\s*<\?xml\s+version/i.test(text) || /^\s*<[^>]+>/.test(text);
 }
 
-// Optimized tag extraction
-function extractTagPositionsOptimized(text) {
-    const raw = [];
-    const stack = [];
-    let id = 0;
-    const regex = /<\/?([A-Za-z0-9_:-]+)(?:[^>]*?)(\/>|>)/g;
-    let match;
-    while ((match = regex.exec(text))) {
-        const full = match[0];
-        const tag = match[1];
-        const isClose = full.startsWith('</');
-        const isSelfClose = full.endsWith('/>');
-        if (!isClose) {
-            id++;
-            const parent = stack.length ? stack[stack.length - 1].id : null;
-            const info = { id, tag, offset: match.index, parent };
-            raw.push(info);
-            if (!isSelfClose) stack.push(info);
-        } else if (stack.length && stack[stack.length - 1].tag === tag) {
-            stack.pop();
-        }
-    }
-    return raw;
-}
-
-// Fallback scan using chunked regex
-function scanDocumentForTagsRegexFallback(document) {
-    outputChannel.appendLine('🔄 Regex fallback...');
-    const text = document.getText();
-    const raw = [];
-    const stack = [];
-    let id = 0;
-    const regex = /<\/?([A-Za-z0-9_:-]+)(?:\s[^>]*?)?(?:\/>|>)/g;
-    const size = 50000;
-    for (let start = 0; start < text.length; start += size) {
-        const chunk = text.slice(start, start + size);
-        regex.lastIndex = 0;
-        let m;
-        while ((m = regex.exec(chunk))) {
-            const full = m[0];
-            const tag = m[1];
-            const offset = start + m.index;
-            const isClose = full.startsWith('</');
-            const isSelf = full.endsWith('/>') && !isClose;
-            if (!isClose) {
-                id++;
-                const parent = stack.length ? stack[stack.length - 1] : 0;
-                raw.push({ id, tag, offset, parent });
-                if (!isSelf) stack.push(id);
-            } else if (stack.length) {
-                stack.pop();
-            }
-        }
-    }
-    return raw;
+// Element name formatter for labels, per xmlIndexer.namespaceLabels
+function getNameFormatter(uri) {
+    const config = vscode.workspace.getConfiguration('xmlIndexer', uri);
+    const mode = config.get('namespaceLabels', 'prefix');
+    const aliases = config.get('namespaceAliases', {});
+    return entry => formatElementName(entry, mode, aliases);
+}
+
+// Indexing rules for a document, honouring workspace and folder overrides
+function getIndexRules(uri) {
+    const config = vscode.workspace.getConfiguration('xmlIndexer', uri);
+    const rules = createIndexRules({
+        minimumSiblings: config.get('minimumSiblings'),
+        includeTags: config.get('includeTags'),
+        excludeTags: config.get('excludeTags'),
+        skipSubtrees: config.get('skipSubtrees'),
+        maxDepth: config.get('maxDepth')
+    });
+    for (const { pattern, message } of rules.invalid) {
+        outputChannel?.appendLine(`[config] Ignoring invalid tag pattern "${pattern}": ${message}`);
+    }
+    return rules;
+}
+
+// Key rules (xmlIndexer.keyRules) that label entries by attribute or child value
+function getKeyRules(uri) {
+    const rules = compileKeyRules(vscode.workspace.getConfiguration('xmlIndexer', uri).get('keyRules', {}));
+    for (const { pattern, message } of rules.invalid) {
+        outputChannel?.appendLine(`[config] Ignoring invalid key rule "${pattern}": ${message}`);
+    }
+    return rules;
+}
+
+// Key part of a label, e.g. ` id=SKU-44`, flagged when a sibling shares it
+function formatKey(entry) {
+    if (entry.key === undefined) {
+        return '';
+    }
+    return ` ${entry.keyName}=${entry.key}${entry.duplicateKey ? ' ⚠' : ''}`;
+}
 
+// Path shown for an entry, per xmlIndexer.pathStyle
+function getPathFormatter(uri) {
+    const useKeys = vscode.workspace.getConfiguration('xmlIndexer', uri).get('pathStyle', 'positional') === 'keys';
+    return entry => (useKeys && entry.keyPath) || entry.path;
 }
 
 // Cache document versions to avoid redundant rescans
 const lastIndexedVersionMap = new Map();
+// Element models per document, kept current by applyContentChanges
+const documentModels = new Map();
+
+// Background scans in flight, keyed by document
+const pendingScans = new Map();
 
 // Indexer: scan only when parent has multiple same-child tags
-function scanDocumentForTags(document) {
-      const text = document.getText();
-    let raw;
-    try {
-        raw = extractTagPositionsOptimized(text);
-    } catch {
-        raw = scanDocumentForTagsRegexFallback(document);
+async function scanDocumentForTags(document) {
+    const documentId = document.uri.toString();
+    let model = documentModels.get(documentId);
+
+    if (model && lastIndexedVersionMap.get(documentId) === document.version) {
+        if (!model.entriesStale) {
+            outputChannel.appendLine(`📊 Version ${document.version} already indexed`);
+            return;
+        }
+    } else {
+        const version = document.version;
+        const text = document.getText();
+        const threshold = vscode.workspace.getConfiguration('xmlIndexer', document.uri).get('backgroundIndexingThreshold', 1000000);
+
+        if (text.length < threshold) {
+            model = buildIndex(text);
+        } else {
+            try {
+                model = await scanDocumentInWorker(document, text);
+            } catch (error) {
+                outputChannel.appendLine(`[worker] Background indexing failed (${error.message}); indexing in-process`);
+                model = buildIndex(text);
+            }
+            if (!model) {
+                outputChannel.appendLine(`[worker] Indexing of ${documentId} was cancelled`);
+                return;
+            }
+        }
+        documentModels.set(documentId, model);
+        lastIndexedVersionMap.set(documentId, version);
+    }
+
+    publishEntries(document, model);
+    publishDiagnostics(document, model);
+    model.entriesStale = false;
+    outputChannel.appendLine(`📊 Indexed ${globalThis.xmlIndexerData.get(documentId).length} tags`);
+}
+
+// Index and key rules for deriving a document's entries
+function getEntryOptions(document) {
+    const keyRules = getKeyRules(document.uri);
+    return { rules: getIndexRules(document.uri), keyRules, text: keyRules.length ? document.getText() : '' };
+}
+
+function publishEntries(document, model) {
+    setPublishedEntries(document, deriveEntries(model, getEntryOptions(document)));
+}
+
+function setPublishedEntries(document, entries) {
+    const documentId = document.uri.toString();
+    for (const entry of entries) {
+        entry.uri ??= document.uri;
+        entry.documentId ??= documentId;
     }
+    globalThis.xmlIndexerData.set(documentId, entries);
+    lastIndexedData = entries;
+}
 
-    // Count per parent/tag
-    const counts = {};
-    raw.forEach(({ parent, tag }) => {
-        counts[parent] = counts[parent] || {};
-        counts[parent][tag] = (counts[parent][tag] || 0) + 1;
+// Report the indexer's well-formedness problems and duplicate keys as diagnostics
+function publishDiagnostics(document, model) {
+    if (!diagnosticCollection) {
+        return;
+    }
+    const diagnostics = model.problems.map(problem => {
+        const range = new vscode.Range(document.positionAt(problem.start), document.positionAt(problem.end));
+        const diagnostic = new vscode.Diagnostic(range, problem.message, vscode.DiagnosticSeverity.Error);
+        diagnostic.source = 'XML Indexer';
+        return diagnostic;
     });
+    for (const entry of getIndexedDataForDocument(document)) {
+        if (entry.duplicateKey) {
+            const range = new vscode.Range(document.positionAt(entry.offset + 1), document.positionAt(entry.offset + 1 + entry.tag.length));
+            const diagnostic = new vscode.Diagnostic(range,
+                `Duplicate key ${entry.keyName}=${entry.key} among <${entry.tag}> siblings`, vscode.DiagnosticSeverity.Warning);
+            diagnostic.source = 'XML Indexer';
+            diagnostics.push(diagnostic);
+        }
+    }
+    diagnosticCollection.set(document.uri, diagnostics);
+}
 
-    // Build filtered data
-    const orderMap = {};
-    const data = [];
+// Index a large document off the extension host behind a cancellable
+// progress notification, rendering partial results as batches arrive.
+// Resolves with null if the scan is cancelled, after putting back the entries
+// the document had before the scan.
+function scanDocumentInWorker(document, text) {
+    const documentId = document.uri.toString();
+    const pending = pendingScans.get(documentId);
+    if (pending) {
+        if (pending.version === document.version) {
+            return pending.promise;
+        }
+        pending.tokenSource.cancel();
+    }
 
-    raw.forEach(entry => {
-        const total = counts[entry.parent]?.[entry.tag] || 0;
-        if (total > 1) {
-            orderMap[entry.parent] = orderMap[entry.parent] || {};
-            const idx = (orderMap[entry.parent][entry.tag] || 0) + 1;
-            orderMap[entry.parent][entry.tag] = idx;
-            const pos = document.positionAt(entry.offset);
-            data.push({ tag: entry.tag, orderInTag: idx, offset: entry.offset, line: pos.line, uri: document.uri, globalSequence: entry.id, documentId: document.uri.toString() });
+    const tokenSource = new vscode.CancellationTokenSource();
+    const name = document.uri.path.split('/').pop();
+    // A superseded scan may already have published partial entries
+    const previousEntries = pending ? pending.previousEntries : globalThis.xmlIndexerData.get(documentId);
+    const scan = { version: document.version, tokenSource, previousEntries, promise: null };
+
+    scan.promise = Promise.resolve(vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: `XML Indexer: indexing ${name}`,
+        cancellable: true
+    }, (progress, progressToken) => {
+        progressToken.onCancellationRequested(() => tokenSource.cancel());
+        let reported = 0;
+        let lastRender = 0;
+
+        return indexInWorker(text, {
+            token: tokenSource.token,
+            onProgress(partial, fraction) {
+                const percent = Math.round(fraction * 100);
+                progress.report({ increment: percent - reported, message: `${partial.elements.length} elements` });
+                reported = percent;
+
+                if (Date.now() - lastRender >= 250) {
+                    lastRender = Date.now();
+                    publishEntries(document, partial);
+                    const editor = vscode.window.activeTextEditor;
+                    if (editor && editor.document === document) {
+                        renderModes(editor);
+                    }
+                }
+            }
+        });
+    })).then(model => {
+        if (!model && pendingScans.get(documentId) === scan) {
+            restoreEntries(document, previousEntries);
+        }
+        return model;
+    }).finally(() => {
+        if (pendingScans.get(documentId) === scan) {
+            pendingScans.delete(documentId);
         }
+        tokenSource.dispose();
     });
-    globalThis.xmlIndexerData.set(document.uri.toString(), data);
-    lastIndexedData = data;
-    outputChannel.appendLine(`📊 Indexed ${data.length} tags`);
+
+    pendingScans.set(documentId, scan);
+    return scan.promise;
+}
+
+// Replace the partial entries of a cancelled scan with `entries`, or drop
+// them when the document had none
+function restoreEntries(document, entries) {
+    const documentId = document.uri.toString();
+    if (entries) {
+        globalThis.xmlIndexerData.set(documentId, entries);
+    } else {
+        globalThis.xmlIndexerData.delete(documentId);
+    }
+    lastIndexedData = entries ?? [];
+    xmlIndexedProvider?.refresh();
+    const editor = vscode.window.activeTextEditor;
+    if (editor && editor.document === document) {
+        renderModes(editor);
+    }
+}
+
+// Abort background scans for documents that are no longer in the active editor
+function cancelStaleScans(activeDocument) {
+    for (const [documentId, scan] of pendingScans) {
+        if (!activeDocument || activeDocument.uri.toString() !== documentId) {
+            outputChannel?.appendLine(`[worker] Cancelling stale scan of ${documentId}`);
+            scan.tokenSource.cancel();
+        }
+    }
+}
+
+// Fold a change event into the cached model instead of rescanning. Changes in
+// one event are non-overlapping and expressed in pre-edit offsets, so they are
+// merged into a single replaced range.
+function applyContentChanges(event) {
+    const document = event.document;
+    const documentId = document.uri.toString();
+    const model = documentModels.get(documentId);
+    if (!model || !event.contentChanges.length) {
+        return;
+    }
+
+    if (lastIndexedVersionMap.get(documentId) !== document.version - 1) {
+        outputChannel?.appendLine(`[incremental] Missed a change to ${documentId}; full rescan pending`);
+        invalidateDocumentIndex(documentId);
+        return;
+    }
+
+    let start = Infinity;
+    let end = -Infinity;
+    let delta = 0;
+    for (const change of event.contentChanges) {
+        start = Math.min(start, change.rangeOffset);
+        end = Math.max(end, change.rangeOffset + change.rangeLength);
+        delta += change.text.length - change.rangeLength;
+    }
+
+    const getText = (from, to) => document.getText(new vscode.Range(document.positionAt(from), document.positionAt(to)));
+    const elementsBefore = model.elements;
+    const renumbered = applyEdit(model, { start, end, delta }, getText);
+    if (!renumbered) {
+        outputChannel?.appendLine('[incremental] Edit crosses element boundaries; full rescan pending');
+        invalidateDocumentIndex(documentId);
+        return;
+    }
+    lastIndexedVersionMap.set(documentId, document.version);
+
+    // Re-derive only the entries of the reparsed subtree
+    const entries = globalThis.xmlIndexerData.get(documentId);
+    const updated = entries && !model.entriesStale &&
+        updateEntries(entries, model, elementsBefore, renumbered[0], getEntryOptions(document));
+    if (updated) {
+        setPublishedEntries(document, updated);
+        publishDiagnostics(document, model);
+    } else {
+        model.entriesStale = true;
+    }
+    outputChannel?.appendLine(`[incremental] Reparsed subtree of element #${renumbered[0]}; renumbered ${renumbered.length} sibling group(s)`);
+}
+
+function invalidateDocumentIndex(documentId) {
+    documentModels.delete(documentId);
+    lastIndexedVersionMap.delete(documentId);
 }
+
 // Modified decoration function to show order information
 function applyInlineDecorations(editor, inlineModeEnabled, numberModeEnabled) {
     if (!editor) {
@@ -158,62 +371,54 @@ function applyInlineDecorations(editor, inlineModeEnabled, numberModeEnabled) {
     });
 
     const decorations = [];
-    const text = doc.getText();
     const entries = getIndexedDataForDocument(doc);
-    
-    // Count total occurrences of each tag to show context
-    const tagTotals = {};
-    entries.forEach(entry => {
-        tagTotals[entry.tag] = Math.max(tagTotals[entry.tag] || 0, entry.orderInTag);
-    });
+    const nameOf = getNameFormatter(doc.uri);
+    const pathOf = getPathFormatter(doc.uri);
+    const iconRules = getIconRules(doc.uri);
 
     for (const entry of entries) {
-        const offset = entry.offset;
-        if (typeof offset !== 'number') {
+        if (typeof entry.startTagEnd !== 'number') {
             continue;
         }
 
-        const slice = text.slice(offset);
-        const m = slice.match(/^<[^>]*>/);
+        // Place the label right after the start tag reported by the tokenizer
         let pos;
-
-        if (m) {
-            try {
-                pos = doc.positionAt(offset + m[0].length);
-            } catch (e) {
-                pos = new vscode.Position(entry.line, 0);
-            }
-        } else {
+        try {
+            pos = doc.positionAt(entry.startTagEnd);
+        } catch {
             pos = new vscode.Position(entry.line, 0);
         }
 
         // Show order information - only display if there are multiple occurrences
         let contentText;
-        const totalCount = tagTotals[entry.tag];
+        const totalCount = entry.totalInTag;
+        // Numbers past the first well-formedness error are a best guess
+        const doubt = entry.unreliable ? '?' : '';
         
         if (totalCount > 1) {
             // Multiple occurrences - show order
             if (numberModeEnabled) {
-                contentText = ` ← ${entry.orderInTag}/${totalCount} `;
+                contentText = ` ← ${entry.orderInTag}/${totalCount}${doubt} `;
             } else {
-                contentText = ` ← [${entry.tag} ${entry.orderInTag}/${totalCount}] `;
+                contentText = ` ← [${nameOf(entry)} ${entry.orderInTag}/${totalCount}${doubt}${formatKey(entry)}] `;
             }
         } else {
             // Single occurrence - minimal display or skip
             if (numberModeEnabled) {
                 contentText = ` ← #${entry.globalSequence} `;
             } else {
-                contentText = ` ← [${entry.tag}] `;
+                contentText = ` ← [${nameOf(entry)}${formatKey(entry)}] `;
             }
         }
 
         decorations.push({
             range: new vscode.Range(pos, pos),
+            hoverMessage: pathOf(entry),
             renderOptions: {
                 after: {
                     contentText,
                     fontStyle: 'italic',
-                    color: new vscode.ThemeColor('editorCodeLens.foreground')
+                    color: new vscode.ThemeColor(resolveIcon(iconRules, entry).color ?? 'editorCodeLens.foreground')
                 }
             }
         });
@@ -228,6 +433,459 @@ function applyInlineDecorations(editor, inlineModeEnabled, numberModeEnabled) {
 }
 
 
+// Icon and color rules per document, compiled from xmlIndexer.iconRules and
+// shared by the sidebar, Outline, workspace symbols and inline labels
+const iconRulesCache = new Map();
+
+function getIconRules(uri) {
+    const key = uri.toString();
+    let rules = iconRulesCache.get(key);
+    if (!rules) {
+        rules = compileIconRules(vscode.workspace.getConfiguration('xmlIndexer', uri).get('iconRules', []));
+        for (const { pattern, message } of rules.invalid) {
+            outputChannel?.appendLine(`[config] Ignoring invalid icon rule ${pattern}: ${message}`);
+        }
+        iconRulesCache.set(key, rules);
+    }
+    return rules;
+}
+
+// Outline symbol kinds for the built-in icons; other `symbol-*` icons map to
+// the kind of the same name, anything else shows as an object
+const SYMBOL_KIND_BY_ICON = {
+    'folder': 'Package',
+    'symbol-method': 'Method',
+    'symbol-class': 'Class',
+    'symbol-structure': 'Struct',
+    'symbol-array': 'Array',
+    'symbol-property': 'Property',
+    'symbol-string': 'String',
+    'file-media': 'File',
+    'link': 'Key',
+    'symbol-event': 'Event',
+    'symbol-field': 'Field',
+    'symbol-constant': 'Constant',
+    'symbol-variable': 'Variable'
+};
+
+function symbolKindForIcon(icon) {
+    const name = SYMBOL_KIND_BY_ICON[icon] ?? (icon.startsWith('symbol-')
+        ? icon.slice('symbol-'.length).replace(/(^|-)(\w)/g, (_, dash, char) => char.toUpperCase())
+        : undefined);
+    return vscode.SymbolKind[name] ?? vscode.SymbolKind.Object;
+}
+
+// Outline, breadcrumbs and Go to Symbol: one nested symbol per element,
+// labelled like the index (`Order [2/5]`) where the element is indexed
+function registerXmlSymbolProvider(context) {
+    const provider = {
+        async provideDocumentSymbols(document, token) {
+            await scanDocumentForTags(document);
+            const model = documentModels.get(document.uri.toString());
+            if (!model || token.isCancellationRequested) {
+                return [];
+            }
+
+            const nameOf = getNameFormatter(document.uri);
+            const iconRules = getIconRules(document.uri);
+            const entriesById = new Map(getIndexedDataForDocument(document).map(entry => [entry.globalSequence, entry]));
+            const symbols = new Map();
+            const roots = [];
+
+            for (const element of model.elements) {
+                const entry = entriesById.get(element.id);
+                const name = entry
+                    ? `${nameOf(entry)} [${entry.orderInTag}/${entry.totalInTag}${entry.unreliable ? '?' : ''}]`
+                    : nameOf(element);
+                const range = new vscode.Range(document.positionAt(element.start), document.positionAt(element.end));
+                const selectionRange = new vscode.Range(
+                    document.positionAt(element.start + 1),
+                    document.positionAt(element.start + 1 + element.tag.length)
+                );
+                const kind = symbolKindForIcon(resolveIcon(iconRules, element).icon);
+                const symbol = new vscode.DocumentSymbol(name, entry ? formatKey(entry).trim() : '', kind, range, selectionRange);
+
+                symbols.set(element.id, symbol);
+                (element.parent ? symbols.get(element.parent).children : roots).push(symbol);
+            }
+
+            outputChannel?.appendLine(`[Symbols] Returning ${model.elements.length} symbols for ${document.uri.toString()}`);
+            return roots;
+        }
+    };
+
+    context.subscriptions.push(vscode.languages.registerDocumentSymbolProvider(
+        [
+            { language: 'xml' },
+            { pattern: '**/*.xml' }
+        ],
+        provider,
+        { label: 'XML Indexer' }
+    ));
+    outputChannel?.appendLine('[Symbols] Registered document symbol provider');
+}
+
+// Escape a value for inline Markdown, including table cells
+function escapeMarkdown(value, maxLength = 100) {
+    const flat = value.replace(/\s+/g, ' ');
+    const clipped = flat.length > maxLength ? `${flat.slice(0, maxLength - 1)}…` : flat;
+    return clipped.replace(/[\\|`*_[\]<>]/g, '\\$&') || ' ';
+}
+
+function commandLink(command, args) {
+    return `command:${command}?${encodeURIComponent(JSON.stringify(args))}`;
+}
+
+// Index, path, attributes and child counts when hovering a start or end tag
+function registerXmlHoverProvider(context) {
+    const provider = {
+        async provideHover(document, position, token) {
+            if (!isXmlDocument(document)) {
+                return null;
+            }
+            await scanDocumentForTags(document);
+            const model = documentModels.get(document.uri.toString());
+            if (!model || token.isCancellationRequested) {
+                return null;
+            }
+
+            const offset = document.offsetAt(position);
+            const element = elementAt(model, offset);
+            if (!element) {
+                return null;
+            }
+            const inStartTag = offset < element.startTagEnd;
+            const inEndTag = element.closed && !element.selfClosing && offset >= element.closeStart;
+            if (!inStartTag && !inEndTag) {
+                return null;
+            }
+
+            const nameOf = getNameFormatter(document.uri);
+            const text = document.getText();
+            const resolver = createPathResolver(model, { keyRules: getKeyRules(document.uri), text });
+            const path = resolver.path(element);
+            const keyPath = resolver.keyPath(element);
+            const unreliable = model.problems.length > 0 && element.start >= model.problems[0].start;
+
+            const markdown = new vscode.MarkdownString();
+            markdown.isTrusted = true;
+            markdown.appendMarkdown(`**${escapeMarkdown(nameOf(element))}** ${element.orderInTag} of ${element.totalInTag}${unreliable ? ' (may be unreliable)' : ''} · level ${element.depth + 1}\n\n`);
+            markdown.appendCodeblock(path, 'xpath');
+            if (keyPath !== path) {
+                markdown.appendCodeblock(keyPath, 'xpath');
+            }
+
+            if (element.attributes.length) {
+                const rows = element.attributes.map(attr => `| ${escapeMarkdown(attr.name)} | ${escapeMarkdown(decodeEntities(attr.value))} |`);
+                markdown.appendMarkdown(`\n| Attribute | Value |\n| --- | --- |\n${rows.join('\n')}\n`);
+            }
+
+            if (element.children.length) {
+                const counts = new Map();
+                for (const childId of element.children) {
+                    const child = model.elements[childId - 1];
+                    const counted = counts.get(child.expandedName);
+                    counts.set(child.expandedName, counted ? { ...counted, count: counted.count + 1 } : { name: nameOf(child), count: 1 });
+                }
+                const summary = [...counts.values()].map(({ name, count }) => `${escapeMarkdown(name)} × ${count}`);
+                markdown.appendMarkdown(`\nChildren: ${summary.join(', ')}\n`);
+            }
+
+            const uri = document.uri.toString();
+            markdown.appendMarkdown([
+                `\n[Next sibling](${commandLink('xi.nextSibling', { uri, offset: element.start })})`,
+                `[Copy path](${commandLink('xi.copyElementPath', { uri, elementId: element.id })})`,
+                `[Reveal in sidebar](${commandLink('xi.revealInSidebar', { uri, elementId: element.id })})`
+            ].join(' · '));
+
+            const range = inStartTag
+                ? new vscode.Range(document.positionAt(element.start), document.positionAt(element.startTagEnd))
+                : new vscode.Range(document.positionAt(element.closeStart), document.positionAt(element.end));
+            return new vscode.Hover(markdown, range);
+        }
+    };
+
+    context.subscriptions.push(vscode.languages.registerHoverProvider(
+        [
+            { language: 'xml' },
+            { pattern: '**/*.xml' }
+        ],
+        provider
+    ));
+    outputChannel?.appendLine('[Hover] Registered hover provider');
+}
+
+// Folding regions from the indexer's element ranges
+function registerXmlFoldingProvider(context) {
+    const provider = {
+        async provideFoldingRanges(document, foldingContext, token) {
+            await scanDocumentForTags(document);
+            const model = documentModels.get(document.uri.toString());
+            if (!model || token.isCancellationRequested) {
+                return [];
+            }
+            return collectFoldingRanges(model).map(range => new vscode.FoldingRange(range.start, range.end));
+        }
+    };
+
+    context.subscriptions.push(vscode.languages.registerFoldingRangeProvider(
+        [
+            { language: 'xml' },
+            { pattern: '**/*.xml' }
+        ],
+        provider
+    ));
+    outputChannel?.appendLine('[Folding] Registered folding range provider');
+}
+
+// Expand Selection by attribute, tag, content, element, sibling group and parent
+function registerXmlSelectionRangeProvider(context) {
+    const provider = {
+        async provideSelectionRanges(document, positions, token) {
+            await scanDocumentForTags(document);
+            const model = documentModels.get(document.uri.toString());
+            if (!model || token.isCancellationRequested) {
+                return [];
+            }
+            const text = document.getText();
+
+            return positions.map(position => {
+                const steps = getSelectionSteps(model, text, document.offsetAt(position));
+                let selectionRange;
+                for (let i = steps.length - 1; i >= 0; i--) {
+                    const range = new vscode.Range(document.positionAt(steps[i].start), document.positionAt(steps[i].end));
+                    selectionRange = new vscode.SelectionRange(range, selectionRange);
+                }
+                return selectionRange ?? new vscode.SelectionRange(new vscode.Range(position, position));
+            });
+        }
+    };
+
+    context.subscriptions.push(vscode.languages.registerSelectionRangeProvider(
+        [
+            { language: 'xml' },
+            { pattern: '**/*.xml' }
+        ],
+        provider
+    ));
+    outputChannel?.appendLine('[Selection] Registered selection range provider');
+}
+
+// Workspace symbol index: symbol records for every XML file in the
+// workspace, keyed by URI and stamped with the file's mtime and size so a
+// persisted copy only needs the changed files rescanned
+const workspaceSymbols = new Map();
+const WORKSPACE_SYMBOLS_FILE = 'workspace-symbols.json';
+// Bumped when the record format changes, so older caches are rebuilt
+const WORKSPACE_SYMBOLS_VERSION = 2;
+const MAX_WORKSPACE_SYMBOL_RESULTS = 1000;
+let workspaceSymbolSignature = null;
+let workspaceSymbolScan = null;
+let workspaceSymbolSaveTimer = null;
+
+// Settings the records depend on, as each workspace folder sees them (the
+// rules can be overridden per folder); records built under other values are
+// dropped
+function getWorkspaceSymbolSignature() {
+    const scopes = vscode.workspace.workspaceFolders?.map(folder => folder.uri) ?? [undefined];
+    return JSON.stringify([WORKSPACE_SYMBOLS_VERSION, ...scopes.map(scope => {
+        const config = vscode.workspace.getConfiguration('xmlIndexer', scope);
+        return [scope?.toString(), ...['minimumSiblings', 'includeTags', 'excludeTags', 'skipSubtrees', 'maxDepth', 'keyRules']
+            .map(key => config.get(key))];
+    })]);
+}
+
+function isExcludedFromWorkspaceSymbols(uri) {
+    const excludes = vscode.workspace.getConfiguration('files', uri).get('exclude', {});
+    const isExcluded = createExcludeFilter(Object.keys(excludes).filter(glob => excludes[glob] === true));
+    return isExcluded(vscode.workspace.asRelativePath(uri, false));
+}
+
+async function loadWorkspaceSymbols(context) {
+    if (!context.storageUri) {
+        return;
+    }
+    try {
+        const bytes = await vscode.workspace.fs.readFile(vscode.Uri.joinPath(context.storageUri, WORKSPACE_SYMBOLS_FILE));
+        const cache = JSON.parse(Buffer.from(bytes).toString('utf8'));
+        if (cache.signature !== getWorkspaceSymbolSignature()) {
+            outputChannel?.appendLine('[Workspace] Index settings changed since the symbol cache was saved; rebuilding');
+            return;
+        }
+        workspaceSymbolSignature = cache.signature;
+        for (const [uri, file] of Object.entries(cache.files)) {
+            workspaceSymbols.set(uri, file);
+        }
+        outputChannel?.appendLine(`[Workspace] Loaded cached symbols for ${workspaceSymbols.size} file(s)`);
+    } catch (error) {
+        if (error.code !== 'FileNotFound') {
+            outputChannel?.appendLine(`[Workspace] Could not read the symbol cache: ${error.message}`);
+        }
+    }
+}
+
+function scheduleWorkspaceSymbolSave(context) {
+    if (!context.storageUri) {
+        return;
+    }
+    clearTimeout(workspaceSymbolSaveTimer);
+    workspaceSymbolSaveTimer = setTimeout(async () => {
+        try {
+            const cache = { signature: workspaceSymbolSignature, files: Object.fromEntries(workspaceSymbols) };
+            await vscode.workspace.fs.createDirectory(context.storageUri);
+            await vscode.workspace.fs.writeFile(
+                vscode.Uri.joinPath(context.storageUri, WORKSPACE_SYMBOLS_FILE),
+                Buffer.from(JSON.stringify(cache), 'utf8')
+            );
+        } catch (error) {
+            outputChannel?.appendLine(`[Workspace] Could not save the symbol cache: ${error.message}`);
+        }
+    }, 2000);
+}
+
+async function indexWorkspaceFile(uri, stat, token) {
+    const text = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8');
+    const threshold = vscode.workspace.getConfiguration('xmlIndexer', uri).get('backgroundIndexingThreshold', 1000000);
+    const model = text.length < threshold ? buildIndex(text) : await indexInWorker(text, { token });
+    if (!model) {
+        return;
+    }
+    const symbols = collectSymbols(text, { model, rules: getIndexRules(uri), keyRules: getKeyRules(uri) });
+    workspaceSymbols.set(uri.toString(), { mtime: stat.mtime, size: stat.size, symbols });
+}
+
+// Bring the index up to date with the workspace, rescanning changed files only
+async function refreshWorkspaceSymbols(context) {
+    workspaceSymbolScan?.cancel();
+    const source = new vscode.CancellationTokenSource();
+    workspaceSymbolScan = source;
+
+    const signature = getWorkspaceSymbolSignature();
+    if (signature !== workspaceSymbolSignature) {
+        workspaceSymbols.clear();
+        workspaceSymbolSignature = signature;
+    }
+    const include = vscode.workspace.getConfiguration('xmlIndexer').get('workspaceSymbols.include', '**/*.xml');
+
+    try {
+        await vscode.window.withProgress({ location: vscode.ProgressLocation.Window, title: 'Indexing XML files' }, async progress => {
+            // Default excludes: findFiles applies files.exclude
+            const uris = include ? await vscode.workspace.findFiles(include, undefined, undefined, source.token) : [];
+            const found = new Set(uris.map(uri => uri.toString()));
+            let changed = 0;
+            for (const key of [...workspaceSymbols.keys()]) {
+                if (!found.has(key)) {
+                    workspaceSymbols.delete(key);
+                    changed++;
+                }
+            }
+
+            for (const [index, uri] of uris.entries()) {
+                if (source.token.isCancellationRequested) {
+                    return;
+                }
+                try {
+                    const stat = await vscode.workspace.fs.stat(uri);
+                    const cached = workspaceSymbols.get(uri.toString());
+                    if (cached && cached.mtime === stat.mtime && cached.size === stat.size) {
+                        continue;
+                    }
+                    progress.report({ message: `${index + 1}/${uris.length}` });
+                    await indexWorkspaceFile(uri, stat, source.token);
+                    changed++;
+                } catch (error) {
+                    outputChannel?.appendLine(`[Workspace] Skipping ${uri.toString()}: ${error.message}`);
+                }
+            }
+
+            outputChannel?.appendLine(`[Workspace] ${uris.length} XML file(s) in the symbol index, ${changed} updated`);
+            if (changed) {
+                scheduleWorkspaceSymbolSave(context);
+            }
+        });
+    } finally {
+        if (workspaceSymbolScan === source) {
+            workspaceSymbolScan = null;
+        }
+        source.dispose();
+    }
+}
+
+// Go to Symbol in Workspace over the workspace index, kept fresh by a file
+// watcher and persisted to the workspace storage
+function registerWorkspaceSymbolIndex(context) {
+    let watcher = null;
+    const watch = () => {
+        watcher?.dispose();
+        watcher = null;
+        const include = vscode.workspace.getConfiguration('xmlIndexer').get('workspaceSymbols.include', '**/*.xml');
+        if (!include) {
+            return;
+        }
+        watcher = vscode.workspace.createFileSystemWatcher(include);
+        const update = async uri => {
+            if (isExcludedFromWorkspaceSymbols(uri)) {
+                return;
+            }
+            try {
+                await indexWorkspaceFile(uri, await vscode.workspace.fs.stat(uri));
+                scheduleWorkspaceSymbolSave(context);
+            } catch (error) {
+                outputChannel?.appendLine(`[Workspace] Could not index ${uri.toString()}: ${error.message}`);
+            }
+        };
+        watcher.onDidCreate(update);
+        watcher.onDidChange(update);
+        watcher.onDidDelete(uri => {
+            if (workspaceSymbols.delete(uri.toString())) {
+                scheduleWorkspaceSymbolSave(context);
+            }
+        });
+    };
+
+    const provider = {
+        provideWorkspaceSymbols(query, token) {
+            const results = [];
+            for (const [uriString, file] of workspaceSymbols) {
+                let uri = null;
+                for (const symbol of file.symbols) {
+                    if (token.isCancellationRequested || results.length >= MAX_WORKSPACE_SYMBOL_RESULTS) {
+                        return results;
+                    }
+                    if (!matchesQuery(symbol.name, query)) {
+                        continue;
+                    }
+                    uri ??= vscode.Uri.parse(uriString);
+                    const kind = symbolKindForIcon(resolveIcon(getIconRules(uri), symbol).icon);
+                    const location = new vscode.Location(uri, new vscode.Position(symbol.line, symbol.character));
+                    results.push(new vscode.SymbolInformation(symbol.name, kind, symbol.container, location));
+                }
+            }
+            return results;
+        }
+    };
+
+    context.subscriptions.push(
+        vscode.languages.registerWorkspaceSymbolProvider(provider),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            const includeChanged = event.affectsConfiguration('xmlIndexer.workspaceSymbols.include');
+            if (includeChanged) {
+                watch();
+            }
+            if (includeChanged || event.affectsConfiguration('files.exclude') ||
+                getWorkspaceSymbolSignature() !== workspaceSymbolSignature) {
+                refreshWorkspaceSymbols(context);
+            }
+        }),
+        vscode.workspace.onDidChangeWorkspaceFolders(() => refreshWorkspaceSymbols(context)),
+        { dispose: () => watcher?.dispose() }
+    );
+
+    watch();
+    loadWorkspaceSymbols(context).then(() => refreshWorkspaceSymbols(context));
+    outputChannel?.appendLine('[Workspace] Registered workspace symbol provider');
+}
+
 // Modified CodeLens provider to show order information
 function registerXmlCodeLensProvider(context) {
     codeLensEmitter = new vscode.EventEmitter();
@@ -247,14 +905,10 @@ function registerXmlCodeLensProvider(context) {
             }
 
             const entries = getIndexedDataForDocument(document);
+            const nameOf = getNameFormatter(document.uri);
+            const pathOf = getPathFormatter(document.uri);
             outputChannel?.appendLine(`[CodeLens] Found ${entries.length} indexed entries for this document`);
 
-            // Count total occurrences of each tag
-            const tagTotals = {};
-            entries.forEach(entry => {
-                tagTotals[entry.tag] = Math.max(tagTotals[entry.tag] || 0, entry.orderInTag);
-            });
-
             const lenses = [];
             const processedLines = new Set();
 
@@ -268,24 +922,26 @@ function registerXmlCodeLensProvider(context) {
                     const pos = document.positionAt(entry.offset);
                     const range = new vscode.Range(pos, pos);
                     
-                    const totalCount = tagTotals[entry.tag];
+                    const totalCount = entry.totalInTag;
+                    const doubt = entry.unreliable ? '?' : '';
                     let title;
                     
                     if (totalCount > 1) {
                         // Show order for multiple occurrences
                         title = isNumberMode()
-                            ? ` ${entry.orderInTag}/${totalCount}`
-                            : ` [${entry.tag} ${entry.orderInTag}/${totalCount}]`;
+                            ? ` ${entry.orderInTag}/${totalCount}${doubt}`
+                            : ` [${nameOf(entry)} ${entry.orderInTag}/${totalCount}${doubt}${formatKey(entry)}]`;
                     } else {
                         // Single occurrence
                         title = isNumberMode()
                             ? ` #${entry.globalSequence}`
-                            : ` [${entry.tag}]`;
+                            : ` [${nameOf(entry)}${formatKey(entry)}]`;
                     }
 
                     lenses.push(new vscode.CodeLens(range, {
                         command: 'xi.revealIndexedLine',
                         title,
+                        tooltip: pathOf(entry),
                         arguments: [document.uri, entry.line]
                     }));
                 } catch (error) {
@@ -322,6 +978,42 @@ function getIndexedDataForDocument(document) {
     return globalThis.xmlIndexerData.get(docKey) || [];
 }
 
+// Sidebar filter queries by document URI, kept in the workspace state so each
+// file keeps its own filter
+function getSidebarFilter(document) {
+    return workspaceState?.get('xiSidebarFilters', {})[document.uri.toString()] || '';
+}
+
+async function setSidebarFilter(document, query) {
+    const filters = { ...workspaceState.get('xiSidebarFilters', {}) };
+    if (query) {
+        filters[document.uri.toString()] = query;
+    } else {
+        delete filters[document.uri.toString()];
+    }
+    await workspaceState.update('xiSidebarFilters', filters);
+}
+
+// Filtered entries per published entry list, with the query they were
+// filtered by
+const filteredSidebarEntries = new WeakMap();
+
+// Entries shown in the sidebar: the document's entries narrowed by its filter
+function getSidebarEntries(document) {
+    const entries = getIndexedDataForDocument(document);
+    const query = getSidebarFilter(document);
+    const model = documentModels.get(document.uri.toString());
+    if (!query || !model) {
+        return entries;
+    }
+    let cached = filteredSidebarEntries.get(entries);
+    if (cached?.query !== query) {
+        cached = { query, entries: entries.filter(createEntryFilter(query, model, document.getText())) };
+        filteredSidebarEntries.set(entries, cached);
+    }
+    return cached.entries;
+}
+
 
 
 function disposeDecoration() {
@@ -348,203 +1040,1218 @@ class XmlIndexedChildrenProvider {
     constructor() {
         this._onDidChangeTreeData = new vscode.EventEmitter();
         this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+        this._children = new Map();
+        this._parents = new Map();
         outputChannel?.appendLine('[TreeProvider] XmlIndexedChildrenProvider constructed');
     }
 
     refresh() {
         outputChannel?.appendLine('[TreeProvider] Refresh called');
+        // Nodes are cached until the next refresh so reveal() and getParent()
+        // see the same objects the view was given
+        this._children = new Map();
+        this._parents = new Map();
         this._onDidChangeTreeData.fire();
     }
 
-    getTreeItem(element) {
-        outputChannel?.appendLine(`[TreeProvider] getTreeItem called for: ${element.label}`);
-        
-        if (element.isGroup) {
-            // FIXED: Group items with dropdown style
-            const item = new vscode.TreeItem(element.label, vscode.TreeItemCollapsibleState.Collapsed);
-            item.iconPath = new vscode.ThemeIcon('symbol-namespace');
-            item.tooltip = `${element.count} ${element.tagName} elements`;
-            return item;
+    getParent(element) {
+        return this._parents.get(element.id);
+    }
+
+    getChildren(element) {
+        const key = element ? element.id : '';
+        let children = this._children.get(key);
+        if (!children) {
+            children = this.computeChildren(element);
+            this._children.set(key, children);
+            for (const child of children) {
+                this._parents.set(child.id, element);
+            }
+        }
+        return children;
+    }
+
+    // Node for a model element, or for its nearest ancestor shown in the tree
+    findNode(document, elementId) {
+        const model = documentModels.get(document.uri.toString());
+        if (!model || !this.getChildren().length) {
+            return undefined;
+        }
+        const chain = [];
+        for (let id = elementId; id; id = model.elements[id - 1]?.parent) {
+            chain.unshift(id);
+        }
+
+        let found;
+        if (isHierarchyView()) {
+            // Walk down from the root, stepping through groups
+            let current;
+            for (const id of chain) {
+                const children = this.getChildren(current);
+                let node = children.find(child => child.elementId === id);
+                const group = node ? null : children.find(child => child.isGroup && child.entries.some(e => e.globalSequence === id));
+                node ??= group && this.getChildren(group).find(child => child.elementId === id);
+                if (!node) {
+                    break;
+                }
+                found = current = node;
+            }
+            return found;
+        }
+
+        // Grouped view: the innermost indexed element, under its tag group
+        const entriesById = new Map(getSidebarEntries(document).map(entry => [entry.globalSequence, entry]));
+        const entry = chain.map(id => entriesById.get(id)).filter(Boolean).pop();
+        if (!entry) {
+            return undefined;
+        }
+        let groups = this.getChildren();
+        if (isGroupByNamespace()) {
+            const namespaceGroup = groups.find(node => node.namespace === (entry.namespace || ''));
+            groups = namespaceGroup ? this.getChildren(namespaceGroup) : [];
+        }
+        const group = groups.find(node => node.expandedName === entry.expandedName);
+        return group && this.getChildren(group).find(node => node.elementId === entry.globalSequence);
+    }
+
+    getTreeItem(element) {
+        outputChannel?.appendLine(`[TreeProvider] getTreeItem called for: ${element.label}`);
+        
+        if (element.isNamespaceGroup) {
+            const item = new vscode.TreeItem(element.label, getCollapsibleState(element.id));
+            item.id = element.id;
+            item.iconPath = new vscode.ThemeIcon('symbol-module');
+            item.tooltip = element.namespace
+                ? `${element.count} elements in ${element.namespace}`
+                : `${element.count} elements without a namespace`;
+            return item;
+        }
+
+        if (element.isGroup) {
+            // FIXED: Group items with dropdown style
+            const item = new vscode.TreeItem(element.label, getCollapsibleState(element.id));
+            item.id = element.id;
+            item.iconPath = new vscode.ThemeIcon('symbol-namespace');
+            item.tooltip = `${element.count} ${element.tagName} elements`;
+            item.contextValue = 'xmlGroup';
+            return item;
+        }
+
+        // Individual element items; in the hierarchy view they expand to
+        // their own repeated children
+        const item = new vscode.TreeItem(element.label, element.hasChildren
+            ? getCollapsibleState(element.id)
+            : vscode.TreeItemCollapsibleState.None);
+        item.id = element.id;
+        item.command = {
+            command: 'xi.revealIndexedLine',
+            title: 'Go to XML Element',
+            arguments: [element.uri, element.line]
+        };
+
+        const modelElement = documentModels.get(element.uri.toString())?.elements[element.elementId - 1];
+        const { icon, color } = resolveIcon(getIconRules(element.uri), modelElement ?? { tag: element.tag });
+        item.iconPath = new vscode.ThemeIcon(icon, color ? new vscode.ThemeColor(color) : undefined);
+        item.tooltip = `${element.tag} element at line ${element.line + 1}\n${element.path}`;
+        item.contextValue = 'xmlElement';
+        return item;
+    }
+
+    computeChildren(element) {
+        outputChannel?.appendLine(`[TreeProvider] getChildren called. Element: ${element ? element.label : 'root'}`);
+        
+        if (!isSidebarMode()) {
+            outputChannel?.appendLine('[TreeProvider] Sidebar mode is disabled, returning empty array');
+            return [];
+        }
+
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            outputChannel?.appendLine('[TreeProvider] No active editor');
+            return [];
+        }
+        
+        if (!isXmlDocument(editor.document)) {
+            outputChannel?.appendLine(`[TreeProvider] Document is not XML: ${editor.document.languageId}`);
+            return [];
+        }
+
+        const entries = getSidebarEntries(editor.document);
+        outputChannel?.appendLine(`[TreeProvider] Found ${entries.length} entries for current document`);
+
+        const nameOf = getNameFormatter(editor.document.uri);
+        const pathOf = getPathFormatter(editor.document.uri);
+
+        if (isHierarchyView() && (!element || element.hasChildren)) {
+            const children = getHierarchyChildren(editor.document, element ? element.elementId : null);
+            outputChannel?.appendLine(`[TreeProvider] Returning ${children.length} hierarchy nodes`);
+            return children;
+        }
+
+        if (!element) {
+            if (isGroupByNamespace()) {
+                // Root level grouped by namespace URI first
+                const namespaceGroups = new Map();
+                entries.forEach(entry => {
+                    const key = entry.namespace || '';
+                    if (!namespaceGroups.has(key)) {
+                        namespaceGroups.set(key, []);
+                    }
+                    namespaceGroups.get(key).push(entry);
+                });
+
+                const children = [...namespaceGroups].map(([namespace, groupEntries]) => ({
+                    id: `${editor.document.uri.toString()}#ns:${namespace}`,
+                    label: `${namespace ? shortAlias(namespace) : '(no namespace)'} (${groupEntries.length})`,
+                    isNamespaceGroup: true,
+                    namespace,
+                    count: groupEntries.length,
+                    entries: groupEntries
+                }));
+
+                outputChannel?.appendLine(`[TreeProvider] Returning ${children.length} namespace groups`);
+                return children;
+            }
+
+            const children = groupEntriesByName(entries, nameOf, `${editor.document.uri.toString()}#group:`);
+            outputChannel?.appendLine(`[TreeProvider] Returning ${children.length} tag groups`);
+            return children;
+        } else if (element.isNamespaceGroup) {
+            const children = groupEntriesByName(element.entries, nameOf, `${element.id}/group:`);
+            outputChannel?.appendLine(`[TreeProvider] Returning ${children.length} tag groups for namespace ${element.namespace}`);
+            return children;
+        } else if (element.isGroup) {
+            // FIXED: Expanded group - show individual elements
+            const hierarchy = isHierarchyView() ? getHierarchyIndex(editor.document) : null;
+            // Positional paths are unique per document, so they make tree ids
+            // that survive refreshes without colliding
+            const children = element.entries.map(entry => ({
+                id: `${element.id}/${entry.path}`,
+                label: isNumberMode()
+     ? `#${entry.globalSequence} (line ${entry.line + 1})`
+     : `${nameOf(entry)} [#${entry.orderInTag}]${formatKey(entry)} (line ${entry.line + 1})`,
+                uri: editor.document.uri,
+                line: entry.line,
+                tag: entry.tag,
+                path: pathOf(entry),
+                elementId: entry.globalSequence,
+                hasChildren: Boolean(hierarchy?.ancestorIds.has(entry.globalSequence)),
+                isGroup: false
+            }));
+
+
+            outputChannel?.appendLine(`[TreeProvider] Returning ${children.length} entries for group ${element.tagName}`);
+            return children;
+        }
+        
+        return [];
+    }
+}
+
+// Group sidebar entries by expanded name, so differently prefixed tags in the
+// same namespace share a group
+function groupEntriesByName(entries, nameOf, idPrefix = '') {
+    const tagGroups = new Map();
+
+    entries.forEach(entry => {
+        if (!tagGroups.has(entry.expandedName)) {
+            tagGroups.set(entry.expandedName, []);
+        }
+        tagGroups.get(entry.expandedName).push(entry);
+    });
+
+    return [...tagGroups].map(([expandedName, groupEntries]) => {
+        const tagName = nameOf(groupEntries[0]);
+        return {
+            id: `${idPrefix}${expandedName}`,
+            label: `${tagName} (${groupEntries.length})`,
+            isGroup: true,
+            tagName,
+            expandedName,
+            count: groupEntries.length,
+            entries: groupEntries
+        };
+    });
+}
+
+// Sidebar expand state by tree item id, kept across refreshes
+const expandedTreeItems = new Set();
+
+function getCollapsibleState(id) {
+    return expandedTreeItems.has(id)
+        ? vscode.TreeItemCollapsibleState.Expanded
+        : vscode.TreeItemCollapsibleState.Collapsed;
+}
+
+// Per published entry list: entries by parent id and the ids of elements
+// that contain indexed entries, for the hierarchy view
+const hierarchyIndexes = new WeakMap();
+
+function getHierarchyIndex(document) {
+    const entries = getSidebarEntries(document);
+    let index = hierarchyIndexes.get(entries);
+    if (!index) {
+        const model = documentModels.get(document.uri.toString());
+        const entriesByParent = new Map();
+        const ancestorIds = new Set();
+        for (const entry of entries) {
+            if (!entriesByParent.has(entry.parent)) {
+                entriesByParent.set(entry.parent, []);
+            }
+            entriesByParent.get(entry.parent).push(entry);
+            for (let id = entry.parent; id && !ancestorIds.has(id); id = model?.elements[id - 1]?.parent) {
+                ancestorIds.add(id);
+            }
+        }
+        const indexedIds = new Set(entries.map(entry => entry.globalSequence));
+        index = { model, entriesByParent, ancestorIds, indexedIds, resolver: model ? createPathResolver(model) : null };
+        hierarchyIndexes.set(entries, index);
+    }
+    return index;
+}
+
+// Children of an element (or the document) in the hierarchy view: its
+// repeated child groups, and child elements that contain indexed entries
+function getHierarchyChildren(document, parentId) {
+    const { model, entriesByParent, ancestorIds, indexedIds, resolver } = getHierarchyIndex(document);
+    if (!model) {
+        return [];
+    }
+    const uri = document.uri;
+    const nameOf = getNameFormatter(uri);
+    const parentPath = parentId ? resolver.path(model.elements[parentId - 1]) : '';
+    const nodes = [];
+
+    for (const group of groupEntriesByName(entriesByParent.get(parentId) || [], nameOf, `${uri.toString()}#treeGroup:${parentPath}/`)) {
+        nodes.push({ ...group, offset: group.entries[0].offset });
+    }
+
+    const childIds = parentId ? model.elements[parentId - 1].children : model.roots;
+    for (const childId of childIds) {
+        const child = model.elements[childId - 1];
+        if (!indexedIds.has(childId) && ancestorIds.has(childId)) {
+            const path = resolver.path(child);
+            nodes.push({
+                id: `${uri.toString()}#tree:${path}`,
+                label: `${nameOf(child)} (line ${child.line + 1})`,
+                uri,
+                line: child.line,
+                tag: child.tag,
+                path,
+                elementId: childId,
+                hasChildren: true,
+                isGroup: false,
+                offset: child.start
+            });
+        }
+    }
+    return nodes.sort((a, b) => a.offset - b.offset);
+}
+
+// Event handling and display functions - IMPROVED
+async function doIndexDisplay() {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) {
+        outputChannel?.appendLine('[events] No active editor; skipping indexing.');
+        return;
+    }
+    
+    if (!isXmlDocument(editor.document)) {
+        outputChannel?.appendLine(`[events] Document is not XML (${editor.document.languageId}); disposing decorations.`);
+        disposeDecoration();
+        return;
+    }
+
+    try {
+        outputChannel?.appendLine('[events] doIndexDisplay: scanning document for tags...');
+        await scanDocumentForTags(editor.document);
+        const entries = getIndexedDataForDocument(editor.document);
+        outputChannel?.appendLine(`[events] scanDocumentForTags found ${entries.length} entries.`);
+
+        if (vscode.window.activeTextEditor !== editor) {
+            outputChannel?.appendLine('[events] Active editor changed while indexing; skipping display.');
+            return;
+        }
+        renderModes(editor);
+    } catch (error) {
+        outputChannel?.appendLine(`[events] Error during index display: ${error.message}`);
+        vscode.window.showErrorMessage('Failed to index XML elements');
+    }
+}
+
+// Redraw every enabled mode from the entries already published for the editor
+function renderModes(editor) {
+    updateWellFormednessMessage(editor.document);
+    updateSidebarDescription(editor.document);
+    updatePathStatusItem(editor);
+
+    // Inline decorations
+    if (isInlineMode()) {
+        outputChannel?.appendLine('[events] Inline mode is ON; applying inline decorations.');
+        applyInlineDecorations(editor, true, isNumberMode());
+    } else {
+        outputChannel?.appendLine('[events] Inline mode is OFF; disposing decorations.');
+        disposeDecoration();
+    }
+
+    // Sidebar
+    if (isSidebarMode()) {
+        outputChannel?.appendLine('[events] Sidebar mode is ON; refreshing sidebar provider.');
+        if (xmlIndexedProvider && typeof xmlIndexedProvider.refresh === 'function') {
+            xmlIndexedProvider.refresh();
+            outputChannel?.appendLine('[events] Sidebar provider refreshed successfully.');
+        } else {
+            outputChannel?.appendLine('[events] ERROR: xmlIndexedProvider is null or missing refresh method!');
+        }
+    }
+
+    // Annotations / CodeLens
+    if (isAnnotationMode()) {
+        outputChannel?.appendLine('[events] Refreshing CodeLenses...');
+        refreshCodeLenses();
+    }
+}
+
+// Warn in the sidebar when recovery from an error may have skewed the numbers
+function updateWellFormednessMessage(document) {
+    if (!xmlTreeView) {
+        return;
+    }
+    const model = documentModels.get(document.uri.toString());
+    const first = model?.problems?.[0];
+    xmlTreeView.message = first
+        ? `⚠ ${model.problems.length} well-formedness problem(s). Numbers from line ${document.positionAt(first.start).line + 1} on may be unreliable.`
+        : undefined;
+}
+
+// Show the grouping and the active filter with its match count next to the
+// sidebar title
+function updateSidebarDescription(document = vscode.window.activeTextEditor?.document) {
+    if (!xmlTreeView) {
+        return;
+    }
+    const query = document && isXmlDocument(document) ? getSidebarFilter(document) : '';
+    const grouping = isHierarchyView() ? 'hierarchy' : isGroupByNamespace() ? 'by namespace' : '';
+    const filter = query
+        ? `${query} (${getSidebarEntries(document).length} of ${getIndexedDataForDocument(document).length})`
+        : '';
+    xmlTreeView.description = [grouping, filter].filter(Boolean).join(' · ') || undefined;
+    vscode.commands.executeCommand('setContext', 'xi.sidebarFiltered', Boolean(query));
+}
+
+// Status bar: the path of the element under the cursor, and one compact
+// on/off indicator per mode
+let pathStatusItem = null;
+const modeStatusItems = new Map();
+
+const MODE_INDICATORS = [
+    { key: 'inline', icon: '$(tag)', label: 'Inline', command: 'xi.toggleInlineMode', isOn: isInlineMode },
+    { key: 'sidebar', icon: '$(list-tree)', label: 'Sidebar', command: 'xi.toggleSidebarMode', isOn: isSidebarMode },
+    { key: 'annotation', icon: '$(note)', label: 'Annotation', command: 'xi.toggleAnnotationMode', isOn: isAnnotationMode },
+    { key: 'number', icon: '$(symbol-number)', label: 'Number', command: 'xi.toggleNumberMode', isOn: isNumberMode }
+];
+
+function createStatusBarItems(context) {
+    pathStatusItem = vscode.window.createStatusBarItem('xmlIndexer.elementPath', vscode.StatusBarAlignment.Left, 100);
+    pathStatusItem.name = 'XML Element Path';
+    pathStatusItem.command = 'xi.statusBarMenu';
+    context.subscriptions.push(pathStatusItem);
+
+    MODE_INDICATORS.forEach((mode, index) => {
+        const item = vscode.window.createStatusBarItem(`xmlIndexer.${mode.key}Mode`, vscode.StatusBarAlignment.Right, 104 - index);
+        item.name = `XML ${mode.label} Mode`;
+        item.text = mode.icon;
+        item.command = mode.command;
+        modeStatusItems.set(mode.key, item);
+        context.subscriptions.push(item);
+    });
+}
+
+// Dim the indicators of disabled modes; show them only for XML editors
+function updateModeStatusItems() {
+    const editor = vscode.window.activeTextEditor;
+    const visible = editor && isXmlDocument(editor.document);
+    for (const mode of MODE_INDICATORS) {
+        const item = modeStatusItems.get(mode.key);
+        if (!item) {
+            continue;
+        }
+        const enabled = mode.isOn();
+        item.color = enabled ? undefined : new vscode.ThemeColor('disabledForeground');
+        item.tooltip = `XML ${mode.label} mode: ${enabled ? 'on' : 'off'} (click to toggle)`;
+        item.accessibilityInformation = { label: item.tooltip };
+        if (visible) {
+            item.show();
+        } else {
+            item.hide();
+        }
+    }
+}
+
+function updatePathStatusItem(editor = vscode.window.activeTextEditor) {
+    if (!pathStatusItem) {
+        return;
+    }
+    const document = editor?.document;
+    const model = document && isXmlDocument(document) ? documentModels.get(document.uri.toString()) : null;
+    const element = model && elementAt(model, document.offsetAt(editor.selection.active));
+    if (!element) {
+        pathStatusItem.hide();
+        return;
+    }
+    const resolver = createPathResolver(model);
+    pathStatusItem.text = `$(symbol-xml) ${compactPath(model, element, { nameOf: getNameFormatter(document.uri), numbering: resolver.numbering })}`;
+    pathStatusItem.tooltip = `${resolver.path(element)}\nClick for path, navigation and mode actions`;
+    pathStatusItem.show();
+}
+
+async function showStatusBarMenu() {
+    const items = [
+        { label: '$(copy) Copy Element Path...', command: 'xi.copyElementPath' },
+        { label: '$(arrow-right) Next Sibling', command: 'xi.nextSibling' },
+        { label: '$(arrow-left) Previous Sibling', command: 'xi.previousSibling' },
+        { label: '$(arrow-up) Parent Element', command: 'xi.parentElement' },
+        { label: '$(list-ordered) Jump to Occurrence...', command: 'xi.jumpToOccurrence' },
+        { label: 'Modes', kind: vscode.QuickPickItemKind.Separator },
+        ...MODE_INDICATORS.map(mode => ({
+            label: `${mode.icon} ${mode.isOn() ? 'Disable' : 'Enable'} ${mode.label} Mode`,
+            command: mode.command
+        }))
+    ];
+    const picked = await vscode.window.showQuickPick(items, { placeHolder: 'XML element actions' });
+    if (picked) {
+        await vscode.commands.executeCommand(picked.command);
+    }
+}
+
+// Reveal functions
+async function revealIndexedLine(uri, line, character = 0, options = {}) {
+    try {
+        const doc = await vscode.workspace.openTextDocument(uri);
+        const ed = await vscode.window.showTextDocument(doc, { preview: false, ...options });
+        const pos = new vscode.Position(line, character);
+        ed.selection = new vscode.Selection(pos, pos);
+        ed.revealRange(new vscode.Range(pos, pos), vscode.TextEditorRevealType.InCenter);
+        const decoration = vscode.window.createTextEditorDecorationType({
+            backgroundColor: new vscode.ThemeColor('editor.findMatchHighlightBackground'),
+            isWholeLine: true
+        });
+        ed.setDecorations(decoration, [new vscode.Range(pos, pos)]);
+        setTimeout(() => decoration.dispose(), 2000);
+    } catch (err) {
+        vscode.window.showErrorMessage(`Failed to reveal line: ${err.message}`);
+        outputChannel?.appendLine(`Error revealing line: ${err.message}`);
+    }
+}
+
+// Path input with completions for the next step. Resolves to the typed path,
+// or undefined when dismissed.
+function promptForPath(model, text) {
+    return new Promise(resolve => {
+        const quickPick = vscode.window.createQuickPick();
+        quickPick.title = 'Go to Path';
+        quickPick.placeholder = 'e.g. /Orders/Order[3]/Line[2] or //Item[@id=\'A7\']';
+        let accepted;
+
+        const update = value => {
+            const items = suggestNextSteps(model, value, text)
+                .filter(path => path !== value)
+                .map(path => ({ label: path, alwaysShow: true, completion: true }));
+            if (value.trim() && value.trim() !== '/') {
+                let description;
+                try {
+                    const count = evaluatePath(model, value, text).length;
+                    description = count === 1 ? '1 match' : `${count} matches`;
+                } catch (error) {
+                    description = error.message;
+                }
+                items.unshift({ label: value, description, alwaysShow: true });
+            }
+            quickPick.items = items;
+        };
+
+        quickPick.onDidChangeValue(update);
+        quickPick.onDidAccept(() => {
+            const [selected] = quickPick.selectedItems;
+            if (selected?.completion) {
+                quickPick.value = selected.label;
+                update(selected.label);
+                return;
+            }
+            accepted = quickPick.value.trim();
+            quickPick.hide();
+        });
+        quickPick.onDidHide(() => {
+            quickPick.dispose();
+            resolve(accepted || undefined);
+        });
+
+        quickPick.value = '/';
+        update('/');
+        quickPick.show();
+    });
+}
+
+async function goToPath() {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor || !isXmlDocument(editor.document)) {
+        vscode.window.showErrorMessage('Please open an XML file first');
+        return;
+    }
+    const document = editor.document;
+    await scanDocumentForTags(document);
+    const model = documentModels.get(document.uri.toString());
+    if (!model) {
+        return;
+    }
+    const text = document.getText();
+
+    const expression = await promptForPath(model, text);
+    if (!expression) {
+        return;
+    }
+
+    let matches;
+    try {
+        matches = evaluatePath(model, expression, text);
+    } catch (error) {
+        vscode.window.showErrorMessage(`Invalid path: ${error.message}`);
+        return;
+    }
+    outputChannel?.appendLine(`[Command] ${expression} matched ${matches.length} element(s)`);
+    if (!matches.length) {
+        vscode.window.showWarningMessage(`No element matches ${expression}`);
+        return;
+    }
+
+    let target = matches[0];
+    if (matches.length > 1) {
+        const resolver = createPathResolver(model);
+        const picked = await vscode.window.showQuickPick(
+            matches.map(element => ({ label: resolver.path(element), description: `line ${element.line + 1}`, element })),
+            { placeHolder: `${matches.length} elements match ${expression}` }
+        );
+        if (!picked) {
+            return;
+        }
+        target = picked.element;
+    }
+    const position = document.positionAt(target.start);
+    await revealIndexedLine(document.uri, position.line, position.character);
+}
+
+// Path forms offered by xi.copyElementPath, keyed by createPathResolver method
+const PATH_FORMS = [
+    { label: 'XPath', form: 'path' },
+    { label: 'Index path', form: 'indexPath' },
+    { label: 'Key path', form: 'keyPath' },
+    { label: 'JSON pointer', form: 'jsonPointer' }
+];
+
+// Copy the path of a sidebar item (or hover link), or of the element around
+// each cursor
+async function copyElementPath(item) {
+    const fromSidebar = item?.elementId !== undefined;
+    const editor = vscode.window.activeTextEditor;
+    if (!fromSidebar && (!editor || !isXmlDocument(editor.document))) {
+        vscode.window.showErrorMessage('Please open an XML file first');
+        return;
+    }
+    // Hover links pass the URI as a string
+    const uri = typeof item?.uri === 'string' ? vscode.Uri.parse(item.uri) : item?.uri;
+    const document = fromSidebar ? await vscode.workspace.openTextDocument(uri) : editor.document;
+    await scanDocumentForTags(document);
+    const model = documentModels.get(document.uri.toString());
+    if (!model) {
+        return;
+    }
+
+    const elements = fromSidebar
+        ? [model.elements[item.elementId - 1]].filter(Boolean)
+        : editor.selections.map(selection => elementAt(model, document.offsetAt(selection.active))).filter(Boolean);
+    if (!elements.length) {
+        vscode.window.showWarningMessage('No XML element at the cursor');
+        return;
+    }
+
+    const resolver = createPathResolver(model, { keyRules: getKeyRules(document.uri), text: document.getText() });
+    const picked = await vscode.window.showQuickPick(
+        PATH_FORMS.map(form => ({ ...form, description: resolver[form.form](elements[0]) })),
+        { placeHolder: elements.length > 1 ? `Copy ${elements.length} element paths as` : 'Copy element path as' }
+    );
+    if (!picked) {
+        return;
+    }
+
+    const value = elements.map(resolver[picked.form]).join('\n');
+    await vscode.env.clipboard.writeText(value);
+    outputChannel?.appendLine(`[Command] Copied ${elements.length} ${picked.label} value(s)`);
+    vscode.window.showInformationMessage(elements.length > 1
+        ? `Copied ${elements.length} paths as ${picked.label}`
+        : `Copied ${value}`);
+}
+
+// Navigation commands and the move each performs
+const NAVIGATION_COMMANDS = {
+    'xi.nextSibling': 'next',
+    'xi.previousSibling': 'previous',
+    'xi.firstSibling': 'first',
+    'xi.lastSibling': 'last',
+    'xi.parentElement': 'parent',
+    'xi.firstChild': 'firstChild'
+};
+
+// Repeat count for the next navigation command, set by xi.setNavigationCount
+let pendingNavigationCount = null;
+
+// Move from the element under the cursor. `args` may be a count or { count },
+// as passed from a keybinding, or { uri, offset } to start from another
+// element of the active document, as passed from hover links.
+async function navigateFromCursor(move, args) {
+    const requested = typeof args === 'number' ? args : args?.count;
+    const count = Math.max(1, Math.floor(requested ?? pendingNavigationCount ?? 1) || 1);
+    pendingNavigationCount = null;
+
+    const editor = vscode.window.activeTextEditor;
+    if (!editor || !isXmlDocument(editor.document)) {
+        vscode.window.showErrorMessage('Please open an XML file first');
+        return;
+    }
+    const document = editor.document;
+    await scanDocumentForTags(document);
+    const model = documentModels.get(document.uri.toString());
+    const offset = args?.uri === document.uri.toString() ? args.offset : document.offsetAt(editor.selection.active);
+    const element = model && elementAt(model, offset);
+    if (!element) {
+        vscode.window.setStatusBarMessage('No XML element at the cursor', 2000);
+        return;
+    }
+
+    const target = navigate(model, element, move, count);
+    if (!target) {
+        vscode.window.setStatusBarMessage(`No ${move === 'firstChild' ? 'child' : move} element from <${element.tag}>`, 2000);
+        return;
+    }
+    outputChannel?.appendLine(`[Command] ${move} x${count}: <${element.tag}> line ${element.line + 1} -> <${target.tag}> line ${target.line + 1}`);
+    const position = document.positionAt(target.start);
+    await revealIndexedLine(document.uri, position.line, position.character);
+}
+
+// Pick a repeated group under the cursor's parent, then an occurrence by
+// number or from a preview list
+async function jumpToOccurrence() {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor || !isXmlDocument(editor.document)) {
+        vscode.window.showErrorMessage('Please open an XML file first');
+        return;
+    }
+    const document = editor.document;
+    await scanDocumentForTags(document);
+    const model = documentModels.get(document.uri.toString());
+    const entries = getIndexedDataForDocument(document);
+    if (!model) {
+        return;
+    }
+
+    // The nearest element around the cursor that has indexed children
+    const childEntries = element => entries.filter(entry => entry.parent === (element ? element.id : null));
+    let container = elementAt(model, document.offsetAt(editor.selection.active));
+    let siblings = childEntries(container);
+    while (!siblings.length && container) {
+        container = container.parent ? model.elements[container.parent - 1] : null;
+        siblings = childEntries(container);
+    }
+    if (!siblings.length) {
+        vscode.window.showInformationMessage('No repeated elements around the cursor');
+        return;
+    }
+
+    const nameOf = getNameFormatter(document.uri);
+    const groups = groupEntriesByName(siblings, nameOf);
+    let group = groups[0];
+    if (groups.length > 1) {
+        group = await vscode.window.showQuickPick(
+            groups.map(g => ({ ...g, description: container ? `in <${container.tag}>` : 'at top level' })),
+            { placeHolder: 'Repeated elements' }
+        );
+        if (!group) {
+            return;
+        }
+    }
+
+    const entry = await pickOccurrence(group, model, document.getText());
+    if (entry) {
+        const position = document.positionAt(entry.offset);
+        await revealIndexedLine(document.uri, position.line, position.character);
+    }
+}
+
+// Occurrence pick list; typing a number and pressing Enter picks that one
+function pickOccurrence(group, model, text) {
+    return new Promise(resolve => {
+        const quickPick = vscode.window.createQuickPick();
+        quickPick.title = `${group.tagName} (${group.count})`;
+        quickPick.placeholder = `Occurrence number (1-${group.count}) or filter by content`;
+        quickPick.matchOnDescription = true;
+        quickPick.items = group.entries.map(entry => ({
+            label: String(entry.orderInTag),
+            description: getElementPreview(model, model.elements[entry.globalSequence - 1], text),
+            detail: `line ${entry.line + 1}${formatKey(entry)}`,
+            entry
+        }));
+        let picked;
+
+        quickPick.onDidAccept(() => {
+            const typed = /^\s*(\d+)\s*$/.exec(quickPick.value);
+            const byNumber = typed && group.entries.find(entry => entry.orderInTag === Number(typed[1]));
+            picked = byNumber || quickPick.selectedItems[0]?.entry;
+            quickPick.hide();
+        });
+        quickPick.onDidHide(() => {
+            quickPick.dispose();
+            resolve(picked);
+        });
+        quickPick.show();
+    });
+}
+
+// Ask for a sidebar filter for the active document; an empty query clears it
+async function filterSidebar() {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor || !isXmlDocument(editor.document)) {
+        vscode.window.showErrorMessage('Please open an XML file first');
+        return;
+    }
+    const query = await vscode.window.showInputBox({
+        title: 'Filter XML Elements',
+        value: getSidebarFilter(editor.document),
+        placeHolder: "Order, key:A-42, text:/^urgent/i, path:Order[3]",
+        prompt: 'Match tag, key, text or path; prefix with tag:, key:, text: or path: for one field, use /pattern/ for a regular expression. Leave empty to clear.',
+        validateInput: value => {
+            try {
+                parseFilter(value);
+                return null;
+            } catch (error) {
+                return `Invalid regular expression: ${error.message}`;
+            }
+        }
+    });
+    if (query !== undefined) {
+        await applySidebarFilter(editor.document, query.trim());
+    }
+}
+
+async function applySidebarFilter(document, query) {
+    await setSidebarFilter(document, query);
+    outputChannel?.appendLine(`[Command] Sidebar filter ${query ? `set to: ${query}` : 'cleared'}`);
+    if (!isSidebarMode()) {
+        await setSidebarMode(true);
+        updateModeStatusItems();
+        await scanDocumentForTags(document);
+    }
+    xmlIndexedProvider.refresh();
+    updateSidebarDescription(document);
+}
+
+// Show an element in the sidebar, turning sidebar mode on when needed. Hover
+// links pass { uri, elementId }; otherwise the element under the cursor.
+async function revealInSidebar(args) {
+    const editor = vscode.window.activeTextEditor;
+    const document = args?.uri
+        ? await vscode.workspace.openTextDocument(vscode.Uri.parse(args.uri))
+        : editor?.document;
+    if (!document || !isXmlDocument(document)) {
+        vscode.window.showErrorMessage('Please open an XML file first');
+        return;
+    }
+    if (!isSidebarMode()) {
+        await setSidebarMode(true);
+        updateModeStatusItems();
+        outputChannel?.appendLine('[Command] Sidebar mode enabled to reveal an element');
+    }
+    await scanDocumentForTags(document);
+    xmlIndexedProvider.refresh();
+
+    const model = documentModels.get(document.uri.toString());
+    const elementId = args?.elementId ?? (model && editor?.document === document
+        ? elementAt(model, document.offsetAt(editor.selection.active))?.id
+        : undefined);
+    const node = elementId && xmlIndexedProvider.findNode(document, elementId);
+    if (node) {
+        await xmlTreeView.reveal(node, { select: true, focus: true, expand: true });
+    } else {
+        await vscode.commands.executeCommand('xmlIndexedChildren.focus');
+    }
+}
+
+// Select the sidebar node of the element under the cursor without taking focus
+async function revealCursorInSidebar(editor) {
+    if (!isFollowCursor() || !isSidebarMode() || !xmlTreeView?.visible || !isXmlDocument(editor.document)) {
+        return;
+    }
+    const model = documentModels.get(editor.document.uri.toString());
+    const element = model && elementAt(model, editor.document.offsetAt(editor.selection.active));
+    const node = element && xmlIndexedProvider.findNode(editor.document, element.id);
+    if (node && !xmlTreeView.selection.includes(node)) {
+        try {
+            await xmlTreeView.reveal(node, { select: true, focus: false, expand: false });
+        } catch (error) {
+            outputChannel?.appendLine(`[TreeProvider] Could not reveal ${node.label}: ${error.message}`);
+        }
+    }
+}
+
+// Fold or unfold the regions of `elements` in the active editor. Resolves
+// with the number of regions changed.
+async function setElementsFolded(model, elements, fold) {
+    const lines = [...new Set(elements.map(element => elementFoldingRange(model, element)?.start))]
+        .filter(line => line !== undefined);
+    if (lines.length) {
+        await vscode.commands.executeCommand(fold ? 'editor.fold' : 'editor.unfold', {
+            levels: 1,
+            direction: 'up',
+            selectionLines: lines
+        });
+    }
+    return lines.length;
+}
+
+// Element a sidebar node points at ({ uri, elementId }), or the element
+// under the cursor when invoked without one
+async function resolveElementTarget(node) {
+    if (node?.elementId === undefined) {
+        const target = await getCursorElement();
+        return target && { document: vscode.window.activeTextEditor.document, ...target };
+    }
+    const uri = typeof node.uri === 'string' ? vscode.Uri.parse(node.uri) : node.uri;
+    const document = await vscode.workspace.openTextDocument(uri);
+    await scanDocumentForTags(document);
+    const model = documentModels.get(document.uri.toString());
+    const element = model?.elements[node.elementId - 1];
+    if (!element) {
+        vscode.window.showWarningMessage('The element is no longer in the document');
+        return null;
+    }
+    return { document, model, element };
+}
+
+// Indentation the editor of `document` would insert for one level
+function getIndentUnit(document) {
+    const editor = vscode.window.visibleTextEditors.find(e => e.document === document);
+    const { insertSpaces = true, tabSize = 4 } = editor?.options ?? {};
+    return insertSpaces ? ' '.repeat(Number(tabSize)) : '\t';
+}
+
+// Element actions on sidebar nodes. Edits are computed from the indexed
+// element ranges and applied as one WorkspaceEdit, so each is a single undo.
+const ELEMENT_ACTIONS = {
+    duplicate: { label: 'Duplicate', edit: ({ text, element }) => duplicateEdit(text, element) },
+    delete: { label: 'Delete', edit: ({ text, element }) => deleteEdit(text, element) },
+    moveUp: { label: 'Move Up', edit: ({ model, text, element }) => moveEdit(model, text, element, 'up') },
+    moveDown: { label: 'Move Down', edit: ({ model, text, element }) => moveEdit(model, text, element, 'down') },
+    wrap: {
+        label: 'Wrap',
+        edit: async ({ document, text, element }) => {
+            const startTag = await vscode.window.showInputBox({
+                title: `Wrap <${element.tag}> in a new element`,
+                placeHolder: 'group or group type="a"',
+                validateInput: value => (isStartTagContent(value.trim()) ? null : 'Enter an element name, optionally followed by attributes with quoted values')
+            });
+            return startTag && wrapEdit(text, element, startTag, getIndentUnit(document));
+        }
+    }
+};
+
+async function editElement(node, action) {
+    const { label, edit } = ELEMENT_ACTIONS[action];
+    const target = await resolveElementTarget(node);
+    if (!target) {
+        return;
+    }
+    const { document, element } = target;
+
+    let change;
+    try {
+        change = await edit({ ...target, text: document.getText() });
+    } catch (error) {
+        vscode.window.showErrorMessage(`${label}: ${error.message}`);
+        return;
+    }
+    if (!change) {
+        if (action === 'moveUp' || action === 'moveDown') {
+            vscode.window.setStatusBarMessage(`<${element.tag}> has no sibling to move past`, 2000);
+        }
+        return;
+    }
+
+    await applyElementChange(document, change, `${label} <${element.tag}> at line ${element.line + 1}`);
+}
+
+// Apply a { start, end, newText } replacement as one WorkspaceEdit and re-index
+async function applyElementChange(document, change, description) {
+    const workspaceEdit = new vscode.WorkspaceEdit();
+    workspaceEdit.replace(
+        document.uri,
+        new vscode.Range(document.positionAt(change.start), document.positionAt(change.end)),
+        change.newText
+    );
+    const applied = await vscode.workspace.applyEdit(workspaceEdit);
+    outputChannel?.appendLine(`[Command] ${description}: ${applied ? 'applied' : 'rejected'}`);
+    if (applied) {
+        await doIndexDisplay();
+    }
+    return applied;
+}
+
+// Drag and drop in the XML Elements sidebar. Dropping an element on another
+// element moves it before that element; dropping it on a tag group moves it
+// after the group's last element. Moves to another parent are refused unless
+// xmlIndexer.dragAndDrop.allowReparenting is on.
+const ELEMENT_DRAG_MIME = 'application/vnd.code.tree.xmlindexedchildren';
+
+class XmlElementDragAndDropController {
+    constructor() {
+        this.dragMimeTypes = [ELEMENT_DRAG_MIME];
+        this.dropMimeTypes = [ELEMENT_DRAG_MIME];
+    }
+
+    handleDrag(source, dataTransfer) {
+        const nodes = source.filter(node => node.elementId !== undefined);
+        if (nodes.length) {
+            dataTransfer.set(ELEMENT_DRAG_MIME, new vscode.DataTransferItem(nodes));
         }
+    }
 
-        // Individual element items
-        const item = new vscode.TreeItem(element.label, vscode.TreeItemCollapsibleState.None);
-        item.command = {
-            command: 'xi.revealIndexedLine',
-            title: 'Go to XML Element',
-            arguments: [element.uri, element.line]
-        };
-
-                // Enhanced icon mapping for XML elements
-        const tagName = element.tag?.toLowerCase() || '';
-        
-        // Common XML structure elements
-        if (tagName.includes('root') || tagName.includes('document')) {
-             item.iconPath = new vscode.ThemeIcon('folder');
-        } else if (tagName.includes('header') || tagName.includes('head')) {
-            item.iconPath = new vscode.ThemeIcon('symbol-method');
-        } else if (tagName.includes('body') || tagName.includes('content')) {
-            item.iconPath = new vscode.ThemeIcon('symbol-class');
-        } else if (tagName.includes('section') || tagName.includes('div') || tagName.includes('container')) {
-            item.iconPath = new vscode.ThemeIcon('symbol-structure');
-        } else if (tagName.includes('list') || tagName.includes('ul') || tagName.includes('ol')) {
-            item.iconPath = new vscode.ThemeIcon('symbol-array');
-        } else if (tagName.includes('item') || tagName.includes('li') || tagName.includes('entry')) {
-            item.iconPath = new vscode.ThemeIcon('symbol-property');
-        } else if (tagName.includes('text') || tagName.includes('p') || tagName.includes('span') || tagName.includes('label')) {
-            item.iconPath = new vscode.ThemeIcon('symbol-string');
-        } else if (tagName.includes('img') || tagName.includes('image') || tagName.includes('picture')) {
-            item.iconPath = new vscode.ThemeIcon('file-media');
-        } else if (tagName.includes('link') || tagName.includes('a') || tagName.includes('href')) {
-            item.iconPath = new vscode.ThemeIcon('link');
-        } else if (tagName.includes('button') || tagName.includes('input') || tagName.includes('form')) {
-            item.iconPath = new vscode.ThemeIcon('symbol-event');
-        } else if (tagName.includes('table') || tagName.includes('row') || tagName.includes('cell')) {
-            item.iconPath = new vscode.ThemeIcon('symbol-field');
-        } else if (tagName.includes('config') || tagName.includes('setting') || tagName.includes('property')) {
-            item.iconPath = new vscode.ThemeIcon('symbol-constant');
-        } else if (tagName.includes('data') || tagName.includes('value') || tagName.includes('field')) {
-            item.iconPath = new vscode.ThemeIcon('symbol-variable');
-        } else {
-            item.iconPath = new vscode.ThemeIcon('symbol-xml');
+    async handleDrop(target, dataTransfer) {
+        const [node] = dataTransfer.get(ELEMENT_DRAG_MIME)?.value ?? [];
+        if (node && target && node !== target) {
+            await dropElement(node, target);
         }
-        item.tooltip = `${element.tag} element at line ${element.line + 1}`;
-        return item;
     }
+}
 
-    getChildren(element) {
-        outputChannel?.appendLine(`[TreeProvider] getChildren called. Element: ${element ? element.label : 'root'}`);
-        
-        if (!isSidebarMode()) {
-            outputChannel?.appendLine('[TreeProvider] Sidebar mode is disabled, returning empty array');
-            return [];
-        }
+async function dropElement(node, target) {
+    const anchorId = target.isGroup
+        ? target.entries[target.entries.length - 1].globalSequence
+        : target.elementId;
+    // Groups carry no URI; like every node they belong to the shown document
+    if (anchorId === undefined || (target.uri && target.uri.toString() !== node.uri.toString())) {
+        return;
+    }
+    const resolved = await resolveElementTarget(node);
+    if (!resolved) {
+        return;
+    }
+    const { document, model, element } = resolved;
+    const anchor = model.elements[anchorId - 1];
+    if (!anchor || anchor === element) {
+        return;
+    }
 
-        const editor = vscode.window.activeTextEditor;
-        if (!editor) {
-            outputChannel?.appendLine('[TreeProvider] No active editor');
-            return [];
-        }
-        
-        if (!isXmlDocument(editor.document)) {
-            outputChannel?.appendLine(`[TreeProvider] Document is not XML: ${editor.document.languageId}`);
-            return [];
-        }
+    const allowReparenting = vscode.workspace.getConfiguration('xmlIndexer', document.uri).get('dragAndDrop.allowReparenting', false);
+    if (anchor.parent !== element.parent && !allowReparenting) {
+        vscode.window.showWarningMessage(
+            `<${element.tag}> can only be reordered among its siblings. Turn on "xmlIndexer.dragAndDrop.allowReparenting" to move elements to another parent.`
+        );
+        return;
+    }
 
-        const entries = getIndexedDataForDocument(editor.document);
-        outputChannel?.appendLine(`[TreeProvider] Found ${entries.length} entries for current document`);
+    let change;
+    try {
+        change = relocateEdit(document.getText(), element, anchor, target.isGroup ? 'after' : 'before');
+    } catch (error) {
+        vscode.window.showErrorMessage(`Move: ${error.message}`);
+        return;
+    }
+    await applyElementChange(document, change, `Drop <${element.tag}> at line ${element.line + 1} ${target.isGroup ? 'after' : 'before'} <${anchor.tag}> at line ${anchor.line + 1}`);
+}
 
-        if (!element) {
-            // FIXED: Root level - create grouped dropdown structure
-            const tagGroups = {};
-            
-            entries.forEach(entry => {
-                if (!tagGroups[entry.tag]) {
-                    tagGroups[entry.tag] = [];
-                }
-                tagGroups[entry.tag].push(entry);
-            });
+async function copyElementXml(node) {
+    const target = await resolveElementTarget(node);
+    if (!target) {
+        return;
+    }
+    try {
+        await vscode.env.clipboard.writeText(elementSource(target.document.getText(), target.element));
+        vscode.window.setStatusBarMessage(`Copied <${target.element.tag}> XML`, 2000);
+    } catch (error) {
+        vscode.window.showErrorMessage(`Copy XML: ${error.message}`);
+    }
+}
 
-            const children = Object.keys(tagGroups).map(tagName => ({
-                label: `${tagName} (${tagGroups[tagName].length})`,
-                isGroup: true,
-                tagName: tagName,
-                count: tagGroups[tagName].length,
-                entries: tagGroups[tagName]
-            }));
-            
-            outputChannel?.appendLine(`[TreeProvider] Returning ${children.length} tag groups`);
-            return children;
-        } else if (element.isGroup) {
-            // FIXED: Expanded group - show individual elements
-            const children = element.entries.map((entry, index) => ({
-                label: isNumberMode()
-     ? `#${entry.globalSequence} (line ${entry.line + 1})`
-     : `${entry.tag} [#${entry.orderInTag}] (line ${entry.line + 1})`,
-                uri: editor.document.uri,
-                line: entry.line,
-                tag: entry.tag,
-                isGroup: false
-            }));
-            
-            outputChannel?.appendLine(`[TreeProvider] Returning ${children.length} entries for group ${element.tagName}`);
-            return children;
-        }
-        
-        return [];
+// Show the element inline in a peek view at its start tag
+async function peekElement(node) {
+    const target = await resolveElementTarget(node);
+    if (!target) {
+        return;
     }
+    const { document, element } = target;
+    const start = document.positionAt(element.start);
+    await vscode.window.showTextDocument(document, { preserveFocus: false });
+    await vscode.commands.executeCommand(
+        'editor.action.peekLocations',
+        document.uri,
+        start,
+        [new vscode.Location(document.uri, new vscode.Range(start, document.positionAt(element.end)))],
+        'peek'
+    );
 }
 
-// Event handling and display functions - IMPROVED
-function doIndexDisplay() {
+// "Open as Table": a webview grid of a repeated group, one panel per
+// document and group, kept in step with the document
+const tablePanels = new Map();
+
+function getTableHtml(webview) {
+    const nonce = crypto.randomBytes(16).toString('base64');
+    const root = vscode.Uri.joinPath(extensionUri, 'resources', 'table');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource}; script-src 'nonce-${nonce}';">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <link href="${webview.asWebviewUri(vscode.Uri.joinPath(root, 'table.css'))}" rel="stylesheet">
+</head>
+<body>
+    <div id="status"></div>
+    <table><thead id="head"></thead><tbody id="body"></tbody></table>
+    <script nonce="${nonce}" src="${webview.asWebviewUri(vscode.Uri.joinPath(root, 'table.js'))}"></script>
+</body>
+</html>`;
+}
+
+async function openAsTable(node) {
     const editor = vscode.window.activeTextEditor;
-    if (!editor) {
-        outputChannel?.appendLine('[events] No active editor; skipping indexing.');
+    if (!node?.isGroup || !editor || !isXmlDocument(editor.document)) {
+        vscode.window.showErrorMessage('Choose a tag group in the XML Elements sidebar to open as a table');
         return;
     }
-    
-    if (!isXmlDocument(editor.document)) {
-        outputChannel?.appendLine(`[events] Document is not XML (${editor.document.languageId}); disposing decorations.`);
-        disposeDecoration();
+    const document = editor.document;
+    const sourceColumn = editor.viewColumn;
+    const key = node.id;
+    if (tablePanels.has(key)) {
+        tablePanels.get(key).reveal();
         return;
     }
 
-    try {
-        outputChannel?.appendLine('[events] doIndexDisplay: scanning document for tags...');
-        scanDocumentForTags(editor.document);
-        const entries = getIndexedDataForDocument(editor.document);
-        outputChannel?.appendLine(`[events] scanDocumentForTags found ${entries.length} entries.`);
-
-        // Inline decorations
-        if (isInlineMode()) {
-            outputChannel?.appendLine('[events] Inline mode is ON; applying inline decorations.');
-            applyInlineDecorations(editor, true, isNumberMode());
-        } else {
-            outputChannel?.appendLine('[events] Inline mode is OFF; disposing decorations.');
-            disposeDecoration();
+    const panel = vscode.window.createWebviewPanel(
+        'xmlIndexerTable',
+        `${node.tagName} · ${document.uri.path.split('/').pop()}`,
+        vscode.ViewColumn.Beside,
+        { enableScripts: true, localResourceRoots: [vscode.Uri.joinPath(extensionUri, 'resources', 'table')] }
+    );
+    panel.webview.html = getTableHtml(panel.webview);
+    tablePanels.set(key, panel);
+    outputChannel?.appendLine(`[Table] Opened ${node.tagName} table for ${document.uri.toString()}`);
+
+    // Rows are the group's entries. Once the document changes they are taken
+    // again from the entries the sidebar shows: those with the group's name
+    // and, for a hierarchy view group, the same parent.
+    const parentPathOf = entry => entry.path.slice(0, entry.path.lastIndexOf('/'));
+    const parentPath = isHierarchyView() ? parentPathOf(node.entries[0]) : null;
+    let entries = node.entries;
+    let entriesStale = false;
+    const groupElements = () => {
+        const model = documentModels.get(document.uri.toString());
+        const elements = model ? entries.map(entry => model.elements[entry.globalSequence - 1]) : [];
+        return { model, elements };
+    };
+    const postTable = async () => {
+        await scanDocumentForTags(document);
+        if (entriesStale) {
+            entries = getSidebarEntries(document).filter(entry => entry.expandedName === node.expandedName
+                && (parentPath === null || parentPathOf(entry) === parentPath));
+            entriesStale = false;
         }
+        const { model, elements } = groupElements();
+        const table = model ? buildTable(model, document.getText(), elements) : { columns: [], rows: [] };
+        panel.webview.postMessage({ type: 'table', title: `${table.rows.length} <${node.tagName}> elements`, ...table });
+    };
 
-        // Sidebar
-        if (isSidebarMode()) {
-            outputChannel?.appendLine('[events] Sidebar mode is ON; refreshing sidebar provider.');
-            if (xmlIndexedProvider && typeof xmlIndexedProvider.refresh === 'function') {
-                xmlIndexedProvider.refresh();
-                outputChannel?.appendLine('[events] Sidebar provider refreshed successfully.');
-            } else {
-                outputChannel?.appendLine('[events] ERROR: xmlIndexedProvider is null or missing refresh method!');
+    const onMessage = async message => {
+        const { model } = groupElements();
+        const element = model?.elements[message.elementId - 1];
+        if (message.type === 'ready') {
+            await postTable();
+        } else if (!element || element.expandedName !== node.expandedName) {
+            vscode.window.showWarningMessage('The table is out of date; it has been reloaded');
+            await postTable();
+        } else if (message.type === 'reveal') {
+            const position = document.positionAt(element.start);
+            await revealIndexedLine(document.uri, position.line, position.character, { viewColumn: sourceColumn, preserveFocus: true });
+        } else if (message.type === 'edit') {
+            const { kind, name, id } = message.column;
+            try {
+                const change = cellEdit(model, document.getText(), element, { kind, name }, String(message.value));
+                const applied = await applyElementChange(document, change, `Set ${id} of <${element.tag}> at line ${element.line + 1}`);
+                if (!applied) {
+                    await postTable();
+                }
+            } catch (error) {
+                vscode.window.showErrorMessage(`Edit ${id}: ${error.message}`);
+                await postTable();
             }
         }
+    };
 
-        // Annotations / CodeLens
-        if (isAnnotationMode()) {
-            outputChannel?.appendLine('[events] Refreshing CodeLenses...');
-            refreshCodeLenses();
-        }
+    let updateTimeout = null;
+    const disposables = [
+        panel.webview.onDidReceiveMessage(onMessage),
+        vscode.workspace.onDidChangeTextDocument(event => {
+            if (event.document === document) {
+                entriesStale = true;
+                clearTimeout(updateTimeout);
+                updateTimeout = setTimeout(postTable, 300);
+            }
+        }),
+        vscode.workspace.onDidCloseTextDocument(closed => {
+            if (closed === document) {
+                panel.dispose();
+            }
+        })
+    ];
+    panel.onDidDispose(() => {
+        clearTimeout(updateTimeout);
+        tablePanels.delete(key);
+        disposables.forEach(disposable => disposable.dispose());
+    });
+}
 
-    } catch (error) {
-        outputChannel?.appendLine(`[events] Error during index display: ${error.message}`);
-        vscode.window.showErrorMessage('Failed to index XML elements');
+// Model and element under the cursor of the active XML editor, or null
+async function getCursorElement() {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor || !isXmlDocument(editor.document)) {
+        vscode.window.showErrorMessage('Please open an XML file first');
+        return null;
     }
+    await scanDocumentForTags(editor.document);
+    const model = documentModels.get(editor.document.uri.toString());
+    const element = model && elementAt(model, editor.document.offsetAt(editor.selection.active));
+    if (!element) {
+        vscode.window.setStatusBarMessage('No XML element at the cursor', 2000);
+        return null;
+    }
+    return { model, element };
 }
 
-// Reveal functions
-async function revealIndexedLine(uri, line) {
-    try {
-        const doc = await vscode.workspace.openTextDocument(uri);
-        const ed = await vscode.window.showTextDocument(doc, { preview: false });
-        const pos = new vscode.Position(line, 0);
-        ed.selection = new vscode.Selection(pos, pos);
-        ed.revealRange(new vscode.Range(pos, pos), vscode.TextEditorRevealType.InCenter);
-        const decoration = vscode.window.createTextEditorDecorationType({
-            backgroundColor: new vscode.ThemeColor('editor.findMatchHighlightBackground'),
-            isWholeLine: true
-        });
-        ed.setDecorations(decoration, [new vscode.Range(pos, pos)]);
-        setTimeout(() => decoration.dispose(), 2000);
-    } catch (err) {
-        vscode.window.showErrorMessage(`Failed to reveal line: ${err.message}`);
-        outputChannel?.appendLine(`Error revealing line: ${err.message}`);
+// Model and nearest element at the cursor that belongs to an indexed
+// sibling group (the cursor element or an ancestor), or null
+async function getCursorGroupElement() {
+    const target = await getCursorElement();
+    if (!target) {
+        return null;
+    }
+    const { model } = target;
+    const indexedIds = new Set(getIndexedDataForDocument(vscode.window.activeTextEditor.document).map(entry => entry.globalSequence));
+    let element = target.element;
+    while (element && !indexedIds.has(element.id)) {
+        element = element.parent ? model.elements[element.parent - 1] : null;
     }
+    if (!element) {
+        vscode.window.setStatusBarMessage('No repeated elements around the cursor', 2000);
+        return null;
+    }
+    return { model, element };
 }
 
 // Command registration functions
@@ -554,18 +2261,17 @@ function registerCommands(context) {
         vscode.commands.registerCommand('xi.toggleInlineMode', async () => {
             const newVal = !isInlineMode();
             await setInlineMode(newVal);
+            updateModeStatusItems();
 
             const editor = vscode.window.activeTextEditor;
             if (editor && isXmlDocument(editor.document)) {
                 if (newVal) {
-                    scanDocumentForTags(editor.document);
+                    await scanDocumentForTags(editor.document);
                     applyInlineDecorations(editor, true, isNumberMode());
                 } else {
                     disposeDecoration();
                 }
             }
-
-            vscode.window.showInformationMessage(`XML Inline indexing ${newVal ? 'enabled' : 'disabled'}`);
         })
     );
 
@@ -574,15 +2280,15 @@ function registerCommands(context) {
         vscode.commands.registerCommand('xi.toggleSidebarMode', async () => {
             const newVal = !isSidebarMode();
             await setSidebarMode(newVal);
+            updateModeStatusItems();
 
             outputChannel?.appendLine(`[Command] Sidebar mode toggled to: ${newVal}`);
-            vscode.window.showInformationMessage(`XML Sidebar indexing ${newVal ? 'enabled' : 'disabled'}`);
 
             if (newVal) {
                 const editor = vscode.window.activeTextEditor;
                 if (editor && isXmlDocument(editor.document)) {
                     outputChannel?.appendLine('[Command] Scanning document for sidebar mode...');
-                    scanDocumentForTags(editor.document);
+                    await scanDocumentForTags(editor.document);
                 }
             }
 
@@ -600,15 +2306,15 @@ function registerCommands(context) {
         vscode.commands.registerCommand('xi.toggleAnnotationMode', async () => {
             const newVal = !isAnnotationMode();
             await setAnnotationMode(newVal);
+            updateModeStatusItems();
 
             outputChannel?.appendLine(`[Command] Annotation mode toggled to: ${newVal}`);
-            vscode.window.showInformationMessage(`XML Annotation indexing ${newVal ? 'enabled' : 'disabled'}`);
 
             const editor = vscode.window.activeTextEditor;
             if (editor && isXmlDocument(editor.document)) {
                 if (newVal) {
                     outputChannel?.appendLine('[Command] Scanning document for annotation mode...');
-                    scanDocumentForTags(editor.document);
+                    await scanDocumentForTags(editor.document);
                 }
                 refreshCodeLenses();
             }
@@ -620,17 +2326,16 @@ function registerCommands(context) {
         vscode.commands.registerCommand('xi.toggleNumberMode', async () => {
             const newVal = !isNumberMode();
             await setNumberMode(newVal);
-
-            vscode.window.showInformationMessage(`XML Number-only mode ${newVal ? 'enabled' : 'disabled'}`);
+            updateModeStatusItems();
 
             const editor = vscode.window.activeTextEditor;
             if (editor && isXmlDocument(editor.document)) {
                 if (isInlineMode()) {
-                    scanDocumentForTags(editor.document);
+                    await scanDocumentForTags(editor.document);
                     applyInlineDecorations(editor, true, newVal);
                 }
                 if (isAnnotationMode()) {
-                    scanDocumentForTags(editor.document);
+                    await scanDocumentForTags(editor.document);
                     refreshCodeLenses();
                 }
                 if (isSidebarMode() && xmlIndexedProvider) {
@@ -640,6 +2345,60 @@ function registerCommands(context) {
         })
     );
 
+    // Toggle Group By Namespace
+    context.subscriptions.push(
+        vscode.commands.registerCommand('xi.toggleGroupByNamespace', async () => {
+            const newVal = !isGroupByNamespace();
+            await setGroupByNamespace(newVal);
+
+            outputChannel?.appendLine(`[Command] Group by namespace toggled to: ${newVal}`);
+            updateSidebarDescription();
+
+            if (xmlIndexedProvider && typeof xmlIndexedProvider.refresh === 'function') {
+                xmlIndexedProvider.refresh();
+            }
+        })
+    );
+
+    // Toggle Hierarchy View
+    context.subscriptions.push(
+        vscode.commands.registerCommand('xi.toggleHierarchyView', async () => {
+            const newVal = !isHierarchyView();
+            await setHierarchyView(newVal);
+
+            outputChannel?.appendLine(`[Command] Hierarchy view toggled to: ${newVal}`);
+            updateSidebarDescription();
+            if (xmlIndexedProvider && typeof xmlIndexedProvider.refresh === 'function') {
+                xmlIndexedProvider.refresh();
+            }
+        })
+    );
+
+    // Sidebar filter
+    context.subscriptions.push(
+        vscode.commands.registerCommand('xi.filterSidebar', filterSidebar),
+        vscode.commands.registerCommand('xi.clearSidebarFilter', () => {
+            const editor = vscode.window.activeTextEditor;
+            if (editor && isXmlDocument(editor.document)) {
+                return applySidebarFilter(editor.document, '');
+            }
+        })
+    );
+
+    // Toggle Follow Cursor
+    context.subscriptions.push(
+        vscode.commands.registerCommand('xi.toggleFollowCursor', async () => {
+            const newVal = !isFollowCursor();
+            await setFollowCursor(newVal);
+
+            outputChannel?.appendLine(`[Command] Follow cursor toggled to: ${newVal}`);
+            const editor = vscode.window.activeTextEditor;
+            if (newVal && editor) {
+                await revealCursorInSidebar(editor);
+            }
+        })
+    );
+
     // Index All Children
     context.subscriptions.push(
         vscode.commands.registerCommand('xi.indexChildrenAll', async () => {
@@ -649,7 +2408,7 @@ function registerCommands(context) {
                 return;
             }
             try {
-                scanDocumentForTags(editor.document);
+                await scanDocumentForTags(editor.document);
 
                 if (isInlineMode()) {
                     applyInlineDecorations(editor, true, isNumberMode());
@@ -681,6 +2440,9 @@ function registerCommands(context) {
             await setSidebarMode(false);
             await setAnnotationMode(false);
             await setNumberMode(false);
+            await setGroupByNamespace(false);
+            updateModeStatusItems();
+            updateSidebarDescription();
 
             disposeDecoration();
 
@@ -689,14 +2451,125 @@ function registerCommands(context) {
             }
 
             refreshCodeLenses();
-
-            vscode.window.showInformationMessage('All XML indexing modes have been disabled');
         })
     );
 
     // Reveal Indexed Line
     context.subscriptions.push(
-        vscode.commands.registerCommand('xi.revealIndexedLine', (uri, line) => revealIndexedLine(uri, line))
+        vscode.commands.registerCommand('xi.revealIndexedLine', (uri, line, character) => revealIndexedLine(uri, line, character))
+    );
+
+    // Go to Path
+    context.subscriptions.push(
+        vscode.commands.registerCommand('xi.goToPath', goToPath)
+    );
+
+    // Copy Element Path
+    context.subscriptions.push(
+        vscode.commands.registerCommand('xi.copyElementPath', copyElementPath)
+    );
+
+    // Sidebar element actions
+    context.subscriptions.push(
+        vscode.commands.registerCommand('xi.copyElementXml', copyElementXml),
+        vscode.commands.registerCommand('xi.duplicateElement', node => editElement(node, 'duplicate')),
+        vscode.commands.registerCommand('xi.deleteElement', node => editElement(node, 'delete')),
+        vscode.commands.registerCommand('xi.wrapElement', node => editElement(node, 'wrap')),
+        vscode.commands.registerCommand('xi.moveElementUp', node => editElement(node, 'moveUp')),
+        vscode.commands.registerCommand('xi.moveElementDown', node => editElement(node, 'moveDown')),
+        vscode.commands.registerCommand('xi.peekElement', peekElement)
+    );
+
+    // Open as Table
+    context.subscriptions.push(
+        vscode.commands.registerCommand('xi.openAsTable', openAsTable)
+    );
+
+    // Status bar menu
+    context.subscriptions.push(
+        vscode.commands.registerCommand('xi.statusBarMenu', showStatusBarMenu)
+    );
+
+    // Reveal in Sidebar
+    context.subscriptions.push(
+        vscode.commands.registerCommand('xi.revealInSidebar', revealInSidebar)
+    );
+
+    // Jump to Occurrence
+    context.subscriptions.push(
+        vscode.commands.registerCommand('xi.jumpToOccurrence', jumpToOccurrence)
+    );
+
+    // Fold the siblings of the repeated element around the cursor, leaving it open
+    context.subscriptions.push(
+        vscode.commands.registerCommand('xi.foldSiblings', async () => {
+            const target = await getCursorGroupElement();
+            if (target) {
+                const { model, element } = target;
+                const others = siblingsOf(model, element).filter(sibling => sibling !== element);
+                const folded = await setElementsFolded(model, others, true);
+                outputChannel?.appendLine(`[Command] Folded ${folded} sibling(s) of <${element.tag}>`);
+            }
+        })
+    );
+
+    // Unfold the group of the repeated element around the cursor
+    context.subscriptions.push(
+        vscode.commands.registerCommand('xi.unfoldGroup', async () => {
+            const target = await getCursorGroupElement();
+            if (target) {
+                const { model, element } = target;
+                await setElementsFolded(model, siblingsOf(model, element), false);
+            }
+        })
+    );
+
+    // Fold everything nested deeper than a level (top-level elements are level 1)
+    context.subscriptions.push(
+        vscode.commands.registerCommand('xi.foldDeeperThan', async levelArg => {
+            const editor = vscode.window.activeTextEditor;
+            if (!editor || !isXmlDocument(editor.document)) {
+                vscode.window.showErrorMessage('Please open an XML file first');
+                return;
+            }
+            const value = typeof levelArg === 'number' ? String(levelArg) : await vscode.window.showInputBox({
+                prompt: 'Fold elements nested deeper than this level (top-level elements are level 1)',
+                value: '2',
+                validateInput: input => /^[1-9]\d*$/.test(input.trim()) ? null : 'Enter a positive whole number'
+            });
+            if (!value) {
+                return;
+            }
+            await scanDocumentForTags(editor.document);
+            const model = documentModels.get(editor.document.uri.toString());
+            if (model) {
+                const level = Number(value);
+                const folded = await setElementsFolded(model, model.elements.filter(element => element.depth + 1 > level), true);
+                outputChannel?.appendLine(`[Command] Folded ${folded} element(s) deeper than level ${level}`);
+            }
+        })
+    );
+
+    // Structural navigation
+    for (const [command, move] of Object.entries(NAVIGATION_COMMANDS)) {
+        context.subscriptions.push(
+            vscode.commands.registerCommand(command, args => navigateFromCursor(move, args))
+        );
+    }
+
+    // Count prefix for the next navigation command
+    context.subscriptions.push(
+        vscode.commands.registerCommand('xi.setNavigationCount', async () => {
+            const value = await vscode.window.showInputBox({
+                prompt: 'Repeat the next XML navigation command this many times',
+                placeHolder: '5',
+                validateInput: input => /^[1-9]\d*$/.test(input.trim()) ? null : 'Enter a positive whole number'
+            });
+            if (value) {
+                pendingNavigationCount = Number(value.trim());
+                vscode.window.setStatusBarMessage(`XML navigation count: ${pendingNavigationCount}`, 5000);
+            }
+        })
     );
 }
 
@@ -708,6 +2581,7 @@ function registerEventHandlers(context) {
     context.subscriptions.push(
         vscode.window.onDidChangeActiveTextEditor(editor => {
             outputChannel?.appendLine('[events] onDidChangeActiveTextEditor triggered.');
+            cancelStaleScans(editor?.document);
             if (editor) {
                 outputChannel?.appendLine(`[events] New editor: ${editor.document.uri.toString()}`);
                 outputChannel?.appendLine(`[events] Language: ${editor.document.languageId}`);
@@ -716,6 +2590,24 @@ function registerEventHandlers(context) {
         })
     );
 
+    // Keep the status bar (and, when following, the sidebar) on the element
+    // under the cursor
+    let followTimeout = null;
+    context.subscriptions.push(
+        vscode.window.onDidChangeTextEditorSelection(event => {
+            if (event.textEditor === vscode.window.activeTextEditor) {
+                updatePathStatusItem(event.textEditor);
+                clearTimeout(followTimeout);
+                followTimeout = setTimeout(() => revealCursorInSidebar(event.textEditor), 150);
+            }
+        }),
+        vscode.window.onDidChangeActiveTextEditor(editor => {
+            updateModeStatusItems();
+            updatePathStatusItem(editor);
+            updateSidebarDescription(editor?.document);
+        })
+    );
+
     // On save
     context.subscriptions.push(
         vscode.workspace.onDidSaveTextDocument(doc => {
@@ -727,9 +2619,10 @@ function registerEventHandlers(context) {
         })
     );
 
-    // On text change with debounce
+    // On text change: patch the index right away, redraw with debounce
     context.subscriptions.push(
         vscode.workspace.onDidChangeTextDocument(event => {
+            applyContentChanges(event);
             const editor = vscode.window.activeTextEditor;
             if (editor && editor.document === event.document && isXmlDocument(editor.document)) {
                 if (updateTimeout) {
@@ -742,6 +2635,38 @@ function registerEventHandlers(context) {
             }
         })
     );
+
+    // Re-derive entries and redraw when settings change
+    context.subscriptions.push(
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (!event.affectsConfiguration('xmlIndexer')) {
+                return;
+            }
+            outputChannel?.appendLine('[config] XML Indexer settings changed; re-indexing open documents.');
+            iconRulesCache.clear();
+            for (const document of vscode.workspace.textDocuments) {
+                const model = documentModels.get(document.uri.toString());
+                if (model && event.affectsConfiguration('xmlIndexer', document.uri)) {
+                    const rules = getIndexRules(document.uri);
+                    if (rules.invalid.length) {
+                        vscode.window.showWarningMessage(`XML Indexer: ignoring invalid tag pattern(s) ${rules.invalid.map(i => `"${i.pattern}"`).join(', ')}`);
+                    }
+                    model.entriesStale = true;
+                }
+            }
+            doIndexDisplay();
+        })
+    );
+
+    // Forget closed documents
+    context.subscriptions.push(
+        vscode.workspace.onDidCloseTextDocument(doc => {
+            const documentId = doc.uri.toString();
+            invalidateDocumentIndex(documentId);
+            globalThis.xmlIndexerData?.delete(documentId);
+            diagnosticCollection?.delete(doc.uri);
+        })
+    );
 }
 
 /**
@@ -759,22 +2684,53 @@ function activate(context) {
 
         // Initialize global state
         globalState = context.globalState;
+        workspaceState = context.workspaceState;
+        extensionUri = context.extensionUri;
         outputChannel.appendLine('✅ State manager initialized');
 
         // Create and register XML indexed children provider for sidebar
         xmlIndexedProvider = new XmlIndexedChildrenProvider();
         const treeView = vscode.window.createTreeView('xmlIndexedChildren', {
             treeDataProvider: xmlIndexedProvider,
+            dragAndDropController: new XmlElementDragAndDropController(),
             showCollapseAll: true,
             canSelectMany: false
         });
-        context.subscriptions.push(treeView);
+        xmlTreeView = treeView;
+        context.subscriptions.push(
+            treeView,
+            treeView.onDidExpandElement(event => expandedTreeItems.add(event.element.id)),
+            treeView.onDidCollapseElement(event => expandedTreeItems.delete(event.element.id))
+        );
         outputChannel.appendLine('✅ XML tree view registered');
 
+        // Status bar path readout and mode indicators
+        createStatusBarItems(context);
+        updateModeStatusItems();
+
+        // Diagnostics for well-formedness problems found while indexing
+        diagnosticCollection = vscode.languages.createDiagnosticCollection('xml-indexer');
+        context.subscriptions.push(diagnosticCollection);
+
         // Register CodeLens provider for annotations
         registerXmlCodeLensProvider(context);
         outputChannel.appendLine('✅ CodeLens provider registered');
 
+        registerXmlSymbolProvider(context);
+        outputChannel.appendLine('✅ Document symbol provider registered');
+
+        registerWorkspaceSymbolIndex(context);
+        outputChannel.appendLine('✅ Workspace symbol index started');
+
+        registerXmlHoverProvider(context);
+        outputChannel.appendLine('✅ Hover provider registered');
+
+        registerXmlFoldingProvider(context);
+        outputChannel.appendLine('✅ Folding range provider registered');
+
+        registerXmlSelectionRangeProvider(context);
+        outputChannel.appendLine('✅ Selection range provider registered');
+
         // Register all commands
         registerCommands(context);
         outputChannel.appendLine('✅ Commands registered');
@@ -887,6 +2843,10 @@ function deactivate() {
         if (globalThis.xmlIndexerData) {
             globalThis.xmlIndexerData.clear();
         }
+        cancelStaleScans(null);
+        workspaceSymbolScan?.cancel();
+        documentModels.clear();
+        lastIndexedVersionMap.clear();
 
         // Log final statistics
         const modes = [];
@@ -908,9 +2868,6 @@ function deactivate() {
     } catch (error) {
         console.error('Error during XML Indexer deactivation:', error);
     }
-    vscode.workspace.onDidCloseTextDocument(doc => {
-  lastIndexedVersionMap.delete(doc.uri.toString());
-});
 }
 
 // Export the activate and deactivate functions
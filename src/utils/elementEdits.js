@@ -0,0 +1,162 @@
+// src/utils/elementEdits.js
+//
+// Replacements behind the sidebar's element actions. Each function returns a
+// single { start, end, newText } over the document text, so an action is one
+// undoable edit. An element alone on its lines is handled as whole lines, so
+// duplicating, deleting or wrapping it keeps the surrounding indentation.
+
+// Whitespace before `offset` on its line, or null when other text precedes it
+function lineIndent(text, offset) {
+    const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+    const before = text.slice(lineStart, offset);
+    return /^[ \t]*$/.test(before) ? before : null;
+}
+
+function endsLine(text, offset) {
+    const lineEnd = text.indexOf('\n', offset);
+    return /^[ \t\r]*$/.test(text.slice(offset, lineEnd === -1 ? text.length : lineEnd));
+}
+
+function eolOf(text) {
+    return text.includes('\r\n') ? '\r\n' : '\n';
+}
+
+function assertEditable(element) {
+    if (!element.closed || element.incomplete) {
+        throw new Error(`<${element.tag}> at line ${element.line + 1} is not closed`);
+    }
+}
+
+// Source text of `element`, from its start tag to its end tag
+function elementSource(text, element) {
+    assertEditable(element);
+    return text.slice(element.start, element.end);
+}
+
+// Insert a copy of `element` right after it, on a new line when it has its own
+function duplicateEdit(text, element) {
+    const source = elementSource(text, element);
+    const indent = lineIndent(text, element.start);
+    const ownLine = indent !== null && endsLine(text, element.end);
+    return {
+        start: element.end,
+        end: element.end,
+        newText: ownLine ? `${eolOf(text)}${indent}${source}` : source
+    };
+}
+
+// Remove `element`, and its lines when nothing else is on them
+function deleteEdit(text, element) {
+    assertEditable(element);
+    const indent = lineIndent(text, element.start);
+    if (indent === null || !endsLine(text, element.end)) {
+        return { start: element.start, end: element.end, newText: '' };
+    }
+    const start = element.start - indent.length;
+    const lineEnd = text.indexOf('\n', element.end);
+    if (lineEnd !== -1) {
+        return { start, end: lineEnd + 1, newText: '' };
+    }
+    // Last line: take the line break before it instead
+    let from = start;
+    if (from > 0) {
+        from -= text[from - 2] === '\r' ? 2 : 1;
+    }
+    return { start: from, end: text.length, newText: '' };
+}
+
+/**
+ * Wrap `element` in a new parent. `startTag` is the content of the new start
+ * tag (a name, optionally with attributes); `indentUnit` indents the wrapped
+ * element when it is alone on its lines.
+ */
+function wrapEdit(text, element, startTag, indentUnit = '    ') {
+    const source = elementSource(text, element);
+    const name = startTag.trim().split(/\s/)[0];
+    const indent = lineIndent(text, element.start);
+    if (indent === null || !endsLine(text, element.end)) {
+        return { start: element.start, end: element.end, newText: `<${startTag.trim()}>${source}</${name}>` };
+    }
+    const eol = eolOf(text);
+    const body = source
+        .split(/\r?\n/)
+        .map(line => (line.trim() ? indentUnit + line : line))
+        .join(eol);
+    return {
+        start: element.start,
+        end: element.end,
+        newText: `<${startTag.trim()}>${eol}${indent}${body}${eol}${indent}</${name}>`
+    };
+}
+
+function reindent(source, fromIndent, toIndent, eol) {
+    return source
+        .split(/\r?\n/)
+        .map((line, i) => (i > 0 && line.startsWith(fromIndent) ? toIndent + line.slice(fromIndent.length) : line))
+        .join(eol);
+}
+
+/**
+ * Move `element` before or after `anchor` (`position` is 'before' or
+ * 'after'). When the anchor is alone on its lines the element is moved as
+ * whole lines and re-indented to the anchor's level; otherwise it is moved
+ * inline. Throws when the anchor lies inside the element.
+ */
+function relocateEdit(text, element, anchor, position) {
+    if (anchor.start >= element.start && anchor.end <= element.end) {
+        throw new Error(`Cannot move <${element.tag}> into itself`);
+    }
+    const source = elementSource(text, element);
+    const removal = deleteEdit(text, element);
+    const eol = eolOf(text);
+
+    const fromIndent = lineIndent(text, element.start) ?? '';
+    const anchorIndent = lineIndent(text, anchor.start);
+    let insertAt;
+    let insertText;
+    if (anchorIndent === null || !endsLine(text, anchor.end)) {
+        insertAt = position === 'before' ? anchor.start : anchor.end;
+        insertText = source;
+    } else {
+        const moved = anchorIndent + reindent(source, fromIndent, anchorIndent, eol);
+        const lineEnd = text.indexOf('\n', anchor.end);
+        if (position === 'before') {
+            insertAt = anchor.start - anchorIndent.length;
+            insertText = moved + eol;
+        } else if (lineEnd !== -1) {
+            insertAt = lineEnd + 1;
+            insertText = moved + eol;
+        } else {
+            insertAt = anchor.end;
+            insertText = eol + moved;
+        }
+    }
+
+    // One replacement spanning both the removal and the insertion point
+    if (insertAt <= removal.start) {
+        return { start: insertAt, end: removal.end, newText: insertText + text.slice(insertAt, removal.start) };
+    }
+    return { start: removal.start, end: insertAt, newText: text.slice(removal.end, insertAt) + insertText };
+}
+
+/**
+ * Swap `element` with the previous (`up`) or next sibling element, keeping
+ * whatever lies between them in place. Null when there is no such sibling.
+ */
+function moveEdit(model, text, element, direction) {
+    const ids = element.parent ? model.elements[element.parent - 1].children : model.roots;
+    const index = ids.indexOf(element.id);
+    const neighbourId = ids[direction === 'up' ? index - 1 : index + 1];
+    if (!neighbourId) {
+        return null;
+    }
+    const neighbour = model.elements[neighbourId - 1];
+    const [first, second] = direction === 'up' ? [neighbour, element] : [element, neighbour];
+    return {
+        start: first.start,
+        end: second.end,
+        newText: elementSource(text, second) + text.slice(first.end, second.start) + elementSource(text, first)
+    };
+}
+
+module.exports = { elementSource, duplicateEdit, deleteEdit, wrapEdit, relocateEdit, moveEdit };
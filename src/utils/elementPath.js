@@ -0,0 +1,141 @@
+// src/utils/elementPath.js
+//
+// XPath-style locations for model elements. The positional path, e.g.
+// `/Envelope/Body/Order[2]/Line[7]`, is the stable identifier other features
+// use for an element: names keep their prefixes as written, and a step
+// carries `[n]` only when that written name repeats among its siblings. Steps
+// are numbered by the written name rather than the expanded name (which the
+// inline labels count by), so `<X xmlns="u1"/><X xmlns="u2"/>` gives `X[1]`
+// and `X[2]`, and every element has its own path. The key path
+// replaces positions with key predicates where a key rule applies, e.g.
+// `/Orders/Order[@id='42']/Line[3]`. The index path numbers every step by
+// position among all element children (`/1/2/7`), and the JSON pointer
+// addresses the element as if repeated names were arrays (`/Orders/Order/1`).
+const { resolveKey } = require('./keyRules');
+
+// XPath 1.0 string literal for `value`
+function quoteXPathLiteral(value) {
+    if (!value.includes('\'')) return `'${value}'`;
+    if (!value.includes('"')) return `"${value}"`;
+    return `concat(${value.split('\'').map(part => `'${part}'`).join(', "\'", ')})`;
+}
+
+/**
+ * Memoized { order, total } of an element among its siblings with the same
+ * written name, as XPath numbers a name test.
+ */
+function createSiblingNumbering(model) {
+    const positions = new Map();
+    return element => {
+        if (!positions.has(element.id)) {
+            const ids = element.parent ? model.elements[element.parent - 1].children : model.roots;
+            const byTag = new Map();
+            for (const id of ids) {
+                const sibling = model.elements[id - 1];
+                if (!byTag.has(sibling.tag)) byTag.set(sibling.tag, []);
+                byTag.get(sibling.tag).push(id);
+            }
+            for (const group of byTag.values()) {
+                group.forEach((id, i) => positions.set(id, { order: i + 1, total: group.length }));
+            }
+        }
+        return positions.get(element.id);
+    };
+}
+
+// RFC 6901 reference token
+function escapePointerToken(token) {
+    return token.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Memoizing path builder for one model; `step` is the last step of an
+ * element's positional path. `keyRules` and `text` are only needed for key
+ * paths.
+ */
+function createPathResolver(model, { keyRules = [], text = '' } = {}) {
+    const numbering = createSiblingNumbering(model);
+    const step = element => {
+        const { order, total } = numbering(element);
+        return total > 1 ? `${element.tag}[${order}]` : element.tag;
+    };
+
+    const memoize = build => {
+        const cache = new Map();
+        return element => {
+            let result = cache.get(element.id);
+            if (result === undefined) {
+                const parent = element.parent ? model.elements[element.parent - 1] : null;
+                result = build(element, parent);
+                cache.set(element.id, result);
+            }
+            return result;
+        };
+    };
+
+    const path = memoize((element, parent) => `${parent ? path(parent) : ''}/${step(element)}`);
+
+    const keyPath = memoize((element, parent) => {
+        const resolved = keyRules.length ? resolveKey(keyRules, model, element, text) : null;
+        const keyStep = resolved
+            ? `${element.tag}[${resolved.childTag ?? resolved.source}=${quoteXPathLiteral(resolved.key)}]`
+            : step(element);
+        return `${parent ? keyPath(parent) : ''}/${keyStep}`;
+    });
+
+    const indexPath = memoize((element, parent) => {
+        const position = (parent ? parent.children : model.roots).indexOf(element.id) + 1;
+        return `${parent ? indexPath(parent) : ''}/${position}`;
+    });
+
+    const jsonPointer = memoize((element, parent) => {
+        const token = escapePointerToken(element.tag);
+        const { order, total } = numbering(element);
+        return `${parent ? jsonPointer(parent) : ''}/${total > 1 ? `${token}/${order - 1}` : token}`;
+    });
+
+    return { numbering, step, path, keyPath, indexPath, jsonPointer };
+}
+
+/**
+ * Short readout of where `element` sits, e.g. `… › Order[2] › Line[7/12]`:
+ * the last `maxSteps` steps, with the element itself numbered out of its
+ * sibling count. Steps are numbered as in the positional path; pass the
+ * resolver's `numbering` to share it. `nameOf` formats element names
+ * (prefixes as written by default).
+ */
+function compactPath(model, element, { nameOf = e => e.tag, maxSteps = 3, numbering = createSiblingNumbering(model) } = {}) {
+    const steps = [];
+    let current = element;
+    while (current && steps.length < maxSteps) {
+        const name = nameOf(current);
+        const { order, total } = numbering(current);
+        if (total <= 1) {
+            steps.unshift(name);
+        } else {
+            steps.unshift(current === element ? `${name}[${order}/${total}]` : `${name}[${order}]`);
+        }
+        current = current.parent ? model.elements[current.parent - 1] : null;
+    }
+    if (current) {
+        steps.unshift('…');
+    }
+    return steps.join(' › ');
+}
+
+/**
+ * Add `path` (and `keyPath` when key rules are given) to each entry.
+ */
+function assignPaths(entries, model, options = {}) {
+    const resolver = createPathResolver(model, options);
+    for (const entry of entries) {
+        const element = model.elements[entry.globalSequence - 1];
+        entry.path = resolver.path(element);
+        if (options.keyRules?.length) {
+            entry.keyPath = resolver.keyPath(element);
+        }
+    }
+    return entries;
+}
+
+module.exports = { quoteXPathLiteral, createSiblingNumbering, createPathResolver, compactPath, assignPaths };
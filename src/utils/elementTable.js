@@ -0,0 +1,131 @@
+// src/utils/elementTable.js
+//
+// Repeated elements as a table for the "Open as Table" grid. Each element is
+// a row; the columns are the union of the rows' attributes (`@name`) and
+// simple child elements, i.e. children without element children of their own
+// that occur at most once per row. Cell edits become a single
+// { start, end, newText } replacement, like the other element edits.
+const { decodeEntities, getElementText } = require('./elementText');
+
+// Child tags that are not simple in at least one of `elements`
+function complexChildTags(model, elements) {
+    const complex = new Set();
+    for (const element of elements) {
+        const seen = new Set();
+        for (const id of element.children) {
+            const child = model.elements[id - 1];
+            if (child.children.length || seen.has(child.tag)) {
+                complex.add(child.tag);
+            }
+            seen.add(child.tag);
+        }
+    }
+    return complex;
+}
+
+/**
+ * { columns: [{ id, name, kind }], rows: [{ elementId, line, cells }] } for
+ * `elements`, with cells keyed by column id. Attribute columns come first,
+ * each kind in order of first appearance.
+ */
+function buildTable(model, text, elements) {
+    const complex = complexChildTags(model, elements);
+    const attributeColumns = new Map();
+    const childColumns = new Map();
+    const rows = elements.map(element => {
+        const cells = {};
+        for (const attr of element.attributes) {
+            const id = `@${attr.name}`;
+            if (!attributeColumns.has(id)) {
+                attributeColumns.set(id, { id, name: attr.name, kind: 'attribute' });
+            }
+            cells[id] = decodeEntities(attr.value);
+        }
+        for (const id of element.children) {
+            const child = model.elements[id - 1];
+            if (complex.has(child.tag)) {
+                continue;
+            }
+            if (!childColumns.has(child.tag)) {
+                childColumns.set(child.tag, { id: child.tag, name: child.tag, kind: 'child' });
+            }
+            cells[child.tag] = getElementText(child, text);
+        }
+        return { elementId: element.id, line: element.line, cells };
+    });
+    return { columns: [...attributeColumns.values(), ...childColumns.values()], rows };
+}
+
+function escapeText(value) {
+    return value.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+}
+
+function escapeAttribute(value, quote) {
+    return escapeText(value).replace(quote === '\'' ? /'/g : /"/g, quote === '\'' ? '&apos;' : '&quot;');
+}
+
+// The quote around an attribute's value, or null for a missing or unquoted
+// value (which the tokenizer recovers from)
+function valueQuote(text, attr) {
+    const quote = text[attr.valueStart - 1];
+    return attr.valueStart > attr.nameEnd && (quote === '"' || quote === '\'') && text[attr.valueEnd] === quote
+        ? quote
+        : null;
+}
+
+/**
+ * Replacement setting `column` of `element` to `value`: the attribute value
+ * or child text is rewritten in place, and a missing attribute or child is
+ * added after the existing ones.
+ */
+function cellEdit(model, text, element, column, value) {
+    if (column.kind === 'attribute') {
+        const attr = element.attributes.find(a => a.name === column.name);
+        const quote = attr && valueQuote(text, attr);
+        if (quote) {
+            return { start: attr.valueStart, end: attr.valueEnd, newText: escapeAttribute(value, quote) };
+        }
+        const newAttribute = `${column.name}="${escapeAttribute(value, '"')}"`;
+        if (attr) {
+            return { start: attr.nameStart, end: attr.valueEnd, newText: newAttribute };
+        }
+        const last = element.attributes[element.attributes.length - 1];
+        const at = last
+            ? last.valueEnd + (valueQuote(text, last) ? 1 : 0)
+            : element.start + 1 + element.tag.length;
+        return { start: at, end: at, newText: ` ${newAttribute}` };
+    }
+
+    const child = element.children
+        .map(id => model.elements[id - 1])
+        .find(c => c.tag === column.name);
+    if (child?.children.length) {
+        throw new Error(`<${child.tag}> has child elements`);
+    }
+    if (child && !child.selfClosing) {
+        return { start: child.startTagEnd, end: child.closeStart, newText: escapeText(value) };
+    }
+    if (child) {
+        return { start: child.start, end: child.end, newText: `<${child.tag}>${escapeText(value)}</${child.tag}>` };
+    }
+    if (element.selfClosing || !element.closed) {
+        throw new Error(`<${element.tag}> at line ${element.line + 1} has no content to add <${column.name}> to`);
+    }
+
+    // New child after the last one, on a line of its own when the children
+    // are not on the parent's line
+    const newChild = `<${column.name}>${escapeText(value)}</${column.name}>`;
+    const lastChild = model.elements[element.children[element.children.length - 1] - 1];
+    if (lastChild && lastChild.line !== element.line) {
+        const lineStart = text.lastIndexOf('\n', lastChild.start - 1) + 1;
+        const indent = /^[ \t]*/.exec(text.slice(lineStart, lastChild.start))[0];
+        const eol = text[lineStart - 2] === '\r' ? '\r\n' : '\n';
+        return { start: lastChild.end, end: lastChild.end, newText: `${eol}${indent}${newChild}` };
+    }
+    if (lastChild) {
+        return { start: lastChild.end, end: lastChild.end, newText: newChild };
+    }
+    return { start: element.closeStart, end: element.closeStart, newText: newChild };
+}
+
+module.exports = { buildTable, cellEdit };
@@ -0,0 +1,54 @@
+// src/utils/elementText.js
+//
+// Read attribute values and text content of model elements.
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+// Replace the predefined and numeric character references
+function decodeEntities(value) {
+    return value.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[A-Za-z]+);/g, (match, ref) => {
+        if (ref[0] === '#') {
+            const code = ref[1] === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+            return code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+        }
+        return NAMED_ENTITIES[ref] ?? match;
+    });
+}
+
+function getAttribute(element, name) {
+    const attr = element.attributes.find(a => a.name === name);
+    return attr ? decodeEntities(attr.value) : null;
+}
+
+/**
+ * The element's own text (not its descendants'), with whitespace collapsed.
+ * CDATA content is included verbatim; other text has references decoded.
+ */
+function getElementText(element, text) {
+    return element.textSpans
+        .map(span => {
+            const raw = text.slice(span.start, span.end);
+            return text.startsWith('<![CDATA[', span.start - 9) ? raw : decodeEntities(raw);
+        })
+        .join('')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * A one-line summary of an element for pick lists: its own text, else its
+ * first attribute as `name=value`, else the first text found below it.
+ */
+function getElementPreview(model, element, text, maxLength = 80) {
+    let preview = getElementText(element, text);
+    if (!preview && element.attributes.length) {
+        const [first] = element.attributes;
+        preview = `${first.name}=${decodeEntities(first.value)}`;
+    }
+    for (let i = element.id; !preview && i < model.elements.length && model.elements[i].start < element.end; i++) {
+        preview = getElementText(model.elements[i], text);
+    }
+    return preview.length > maxLength ? `${preview.slice(0, maxLength - 1)}…` : preview;
+}
+
+module.exports = { decodeEntities, getAttribute, getElementText, getElementPreview };
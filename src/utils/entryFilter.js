@@ -0,0 +1,66 @@
+// src/utils/entryFilter.js
+//
+// Filter queries for the XML Elements sidebar. A query is a term, optionally
+// prefixed with the field it searches: `tag:`, `key:`, `text:` or `path:`.
+// Without a prefix any field may match. Text is that of the element and its
+// descendants, so a record matches on the values of its fields. Terms match
+// as case-insensitive substrings; `/pattern/flags` makes the term a regular
+// expression.
+const { getElementText } = require('./elementText');
+
+const FIELDS = ['tag', 'key', 'text', 'path'];
+
+// Text of `element` and of each descendant, in document order
+function subtreeTexts(model, element, text) {
+    const texts = [];
+    const stack = [element];
+    while (stack.length) {
+        const current = stack.pop();
+        const own = getElementText(current, text);
+        if (own) {
+            texts.push(own);
+        }
+        for (let i = current.children.length - 1; i >= 0; i--) {
+            stack.push(model.elements[current.children[i] - 1]);
+        }
+    }
+    return texts;
+}
+
+/**
+ * Parse `query` into { field, test }, where field is null for "any field".
+ * Throws a SyntaxError for an invalid regular expression.
+ */
+function parseFilter(query) {
+    const trimmed = query.trim();
+    const prefixed = /^(\w+):(.*)$/.exec(trimmed);
+    const field = prefixed && FIELDS.includes(prefixed[1].toLowerCase()) ? prefixed[1].toLowerCase() : null;
+    const term = field ? prefixed[2].trim() : trimmed;
+
+    const regex = /^\/(.+)\/([a-z]*)$/.exec(term);
+    if (regex) {
+        // Global and sticky flags would make test() stateful
+        const pattern = new RegExp(regex[1], regex[2].replace(/[gy]/g, ''));
+        return { field, test: value => pattern.test(value) };
+    }
+    const needle = term.toLowerCase();
+    return { field, test: value => value.toLowerCase().includes(needle) };
+}
+
+/**
+ * Predicate over indexed entries of `model` for `query`. Text content is
+ * read from `text` only when a query needs it.
+ */
+function createEntryFilter(query, model, text) {
+    const { field, test } = parseFilter(query);
+    const values = {
+        tag: entry => [entry.tag],
+        key: entry => (entry.key === undefined ? [] : [entry.key]),
+        text: entry => subtreeTexts(model, model.elements[entry.globalSequence - 1], text),
+        path: entry => (entry.keyPath ? [entry.path, entry.keyPath] : [entry.path])
+    };
+    const fields = field ? [field] : FIELDS;
+    return entry => fields.some(name => values[name](entry).some(test));
+}
+
+module.exports = { parseFilter, createEntryFilter };
@@ -0,0 +1,37 @@
+// src/utils/folding.js
+//
+// Line-based folding regions for model elements. A region runs from the line
+// of the start tag to the line before the end tag, so the end tag stays
+// visible when folded; if the end tag is on the next line it is folded too.
+const { lineAt } = require('./indexer');
+
+/**
+ * { start, end } lines of the folding region for `element`, or null when the
+ * element fits on one line or has no end tag.
+ */
+function elementFoldingRange(model, element) {
+    if (!element.closed || element.selfClosing || element.incomplete) {
+        return null;
+    }
+    const closeLine = lineAt(model.lineStarts, element.closeStart);
+    if (closeLine <= element.line) {
+        return null;
+    }
+    return { start: element.line, end: closeLine > element.line + 1 ? closeLine - 1 : closeLine };
+}
+
+// Folding regions of every element, in document order, one per start line
+function collectFoldingRanges(model) {
+    const ranges = [];
+    let lastLine = -1;
+    for (const element of model.elements) {
+        const range = element.line === lastLine ? null : elementFoldingRange(model, element);
+        if (range) {
+            ranges.push(range);
+            lastLine = range.start;
+        }
+    }
+    return ranges;
+}
+
+module.exports = { elementFoldingRange, collectFoldingRanges };
@@ -0,0 +1,98 @@
+// src/utils/iconRules.js
+//
+// Icons and colors for elements, as configured by `xmlIndexer.iconRules`. A
+// rule matches on any combination of `tag` (a tag pattern, as in the index
+// rules), `namespace` (a URI, `*` wildcards allowed) and `depth` (the root
+// element is level 1), and sets a codicon id (`icon`) and/or a theme color id
+// (`color`). Rules are tried in order, user rules before the built-in ones;
+// icon and color are taken from the first rule that sets each.
+const { compileTagPattern } = require('./indexRules');
+
+const DEFAULT_ICON = 'symbol-xml';
+
+// Built-in rules: exact, case-insensitive local names
+const DEFAULT_ICON_RULES = [
+    { names: ['root', 'document'], icon: 'folder' },
+    { names: ['head', 'header'], icon: 'symbol-method' },
+    { names: ['body', 'content'], icon: 'symbol-class' },
+    { names: ['section', 'div', 'container'], icon: 'symbol-structure' },
+    { names: ['list', 'ul', 'ol'], icon: 'symbol-array' },
+    { names: ['item', 'li', 'entry'], icon: 'symbol-property' },
+    { names: ['text', 'p', 'span', 'label'], icon: 'symbol-string' },
+    { names: ['img', 'image', 'picture'], icon: 'file-media' },
+    { names: ['a', 'link', 'href'], icon: 'link' },
+    { names: ['button', 'input', 'form'], icon: 'symbol-event' },
+    { names: ['table', 'row', 'cell'], icon: 'symbol-field' },
+    { names: ['config', 'setting', 'settings', 'property'], icon: 'symbol-constant' },
+    { names: ['data', 'value', 'field'], icon: 'symbol-variable' }
+].map(({ names, icon }) => ({
+    matches: element => names.includes((element.localName ?? element.tag).toLowerCase()),
+    icon,
+    color: null
+}));
+
+function compileNamespacePattern(pattern) {
+    const source = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    const matcher = new RegExp(`^${source}$`);
+    return element => matcher.test(element.namespace ?? '');
+}
+
+/**
+ * Compile the setting into rules [{ matches, icon, color }] followed by the
+ * built-in defaults. Rules with an invalid tag pattern or nothing to set are
+ * dropped and listed in `invalid`.
+ */
+function compileIconRules(setting = []) {
+    const rules = [];
+    const invalid = [];
+    for (const rule of Array.isArray(setting) ? setting : []) {
+        if (!rule || (typeof rule.icon !== 'string' && typeof rule.color !== 'string')) {
+            invalid.push({ pattern: JSON.stringify(rule), message: 'A rule needs an "icon" or a "color"' });
+            continue;
+        }
+        try {
+            const tests = [];
+            if (typeof rule.tag === 'string') {
+                tests.push(compileTagPattern(rule.tag));
+            }
+            if (typeof rule.namespace === 'string') {
+                tests.push(compileNamespacePattern(rule.namespace));
+            }
+            if (Number.isInteger(rule.depth)) {
+                tests.push(element => element.depth + 1 === rule.depth);
+            }
+            rules.push({
+                matches: element => tests.every(test => test(element)),
+                icon: typeof rule.icon === 'string' ? rule.icon : null,
+                color: typeof rule.color === 'string' ? rule.color : null
+            });
+        } catch (error) {
+            invalid.push({ pattern: rule.tag, message: error.message });
+        }
+    }
+    rules.push(...DEFAULT_ICON_RULES);
+    rules.invalid = invalid;
+    return rules;
+}
+
+/**
+ * { icon, color } for an element (or any record with tag, localName,
+ * namespace and depth); color is null when no rule sets one.
+ */
+function resolveIcon(rules, element) {
+    let icon = null;
+    let color = null;
+    for (const rule of rules) {
+        if (icon && color) {
+            break;
+        }
+        const fillsGap = (rule.icon && !icon) || (rule.color && !color);
+        if (fillsGap && rule.matches(element)) {
+            icon ??= rule.icon;
+            color ??= rule.color;
+        }
+    }
+    return { icon: icon ?? DEFAULT_ICON, color };
+}
+
+module.exports = { compileIconRules, resolveIcon };
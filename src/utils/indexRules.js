@@ -0,0 +1,89 @@
+// src/utils/indexRules.js
+//
+// Which elements become indexed entries, as configured by the xmlIndexer.*
+// settings. Tag patterns are globs (`Line*`, `*:Item`) or regular expressions
+// written as `/source/flags`. A pattern without a colon is matched against the
+// local name, so `Signature` also matches `ds:Signature`; a pattern with a
+// colon is matched against the name as written.
+
+const DEFAULT_RULES = {
+    minimumSiblings: 2,
+    includeTags: [],
+    excludeTags: [],
+    skipSubtrees: [],
+    maxDepth: 0
+};
+
+function globToRegExp(glob) {
+    const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Compile a tag pattern into a predicate over elements. Throws a SyntaxError
+ * for an invalid regular expression.
+ */
+function compileTagPattern(pattern) {
+    const regex = /^\/(.*)\/([a-z]*)$/.exec(pattern);
+    const matcher = regex ? new RegExp(regex[1], regex[2]) : globToRegExp(pattern);
+    const qualified = regex || pattern.includes(':');
+
+    return element => {
+        const name = qualified ? element.tag : (element.localName ?? element.tag);
+        matcher.lastIndex = 0;
+        return matcher.test(name);
+    };
+}
+
+/**
+ * Build rules from raw settings. Invalid patterns are dropped and listed in
+ * `invalid` so the caller can report them.
+ */
+function createIndexRules(settings = {}) {
+    const invalid = [];
+    const compileAll = patterns => (Array.isArray(patterns) ? patterns : []).flatMap(pattern => {
+        try {
+            return [compileTagPattern(String(pattern))];
+        } catch (error) {
+            invalid.push({ pattern, message: error.message });
+            return [];
+        }
+    });
+
+    return {
+        minimumSiblings: Math.max(1, settings.minimumSiblings ?? DEFAULT_RULES.minimumSiblings),
+        includeTags: compileAll(settings.includeTags),
+        excludeTags: compileAll(settings.excludeTags),
+        skipSubtrees: compileAll(settings.skipSubtrees),
+        maxDepth: Math.max(0, settings.maxDepth ?? DEFAULT_RULES.maxDepth),
+        invalid
+    };
+}
+
+/**
+ * Return a predicate telling whether an element is indexed. Elements must be
+ * tested in document order, since skipped subtrees are tracked as they go.
+ */
+function createElementFilter(rules) {
+    const skipped = new Set();
+    const matchesAny = (patterns, element) => patterns.some(matches => matches(element));
+
+    return element => {
+        if ((element.parent !== null && skipped.has(element.parent)) || matchesAny(rules.skipSubtrees, element)) {
+            skipped.add(element.id);
+            return false;
+        }
+        if (rules.maxDepth && element.depth >= rules.maxDepth) {
+            return false;
+        }
+        if (element.totalInTag < rules.minimumSiblings) {
+            return false;
+        }
+        if (rules.includeTags.length && !matchesAny(rules.includeTags, element)) {
+            return false;
+        }
+        return !matchesAny(rules.excludeTags, element);
+    };
+}
+
+module.exports = { DEFAULT_RULES, compileTagPattern, createIndexRules, createElementFilter };
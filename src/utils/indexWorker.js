@@ -0,0 +1,15 @@
+// src/utils/indexWorker.js
+//
+// worker_threads entry point: builds the model for `workerData.text` and
+// streams each progress batch back before posting the finished model.
+const { parentPort, workerData } = require('worker_threads');
+const { buildIndex } = require('./indexer');
+
+const model = buildIndex(workerData.text, {
+    progressInterval: workerData.progressInterval,
+    onProgress(batch) {
+        parentPort.postMessage({ type: 'progress', elements: batch.elements, offset: batch.offset });
+    }
+});
+
+parentPort.postMessage({ type: 'done', model });
@@ -0,0 +1,70 @@
+// src/utils/indexedEntries.js
+//
+// The entries the modes display, with their keys and paths. After an
+// incremental edit (see applyEdit) only the entries in the reparsed subtree
+// are derived again; the others are kept and re-read from the elements they
+// came from, which applyEdit shifted in place.
+const { collectIndexedEntries } = require('./indexer');
+const { applyKeyRules } = require('./keyRules');
+const { assignPaths } = require('./elementPath');
+
+/**
+ * Entries for `model` under index `rules`, with keys and key paths when
+ * `keyRules` are given (`text` is then needed to read child keys).
+ */
+function deriveEntries(model, { rules, keyRules = [], text = '' } = {}) {
+    const entries = collectIndexedEntries(model, rules);
+    applyKeyRules(entries, keyRules, model, text);
+    return assignPaths(entries, model, { keyRules, text });
+}
+
+/**
+ * Entries for `model` after applyEdit reparsed the content of element
+ * `ownerId`, given the entries derived before the edit and the model's
+ * `elementsBefore` array. Null when the edit may have changed a key outside
+ * the subtree (the owner or its parent is keyed by a child), so every entry
+ * has to be derived again.
+ */
+function updateEntries(entries, model, elementsBefore, ownerId, { rules, keyRules = [], text = '' } = {}) {
+    const owner = model.elements[ownerId - 1];
+    const parent = owner.parent ? model.elements[owner.parent - 1] : null;
+    if (keyRules.some(rule => !rule.isAttribute && (rule.matches(owner) || (parent && rule.matches(parent))))) {
+        return null;
+    }
+
+    // The owner's ancestors go through the index rules too, as skipSubtrees
+    // carries down from them
+    const ancestors = [];
+    for (let element = owner; element; element = element.parent ? model.elements[element.parent - 1] : null) {
+        ancestors.unshift(element);
+    }
+    const subtree = [];
+    for (let i = owner.id; i < model.elements.length && model.elements[i].start < owner.closeStart; i++) {
+        subtree.push(model.elements[i]);
+    }
+    const derived = collectIndexedEntries({ elements: ancestors.concat(subtree), problems: model.problems }, rules)
+        .filter(entry => entry.globalSequence > ownerId);
+    applyKeyRules(derived, keyRules, model, text);
+    assignPaths(derived, model, { keyRules, text });
+
+    const before = [];
+    const after = [];
+    for (const entry of entries) {
+        const element = elementsBefore[entry.globalSequence - 1];
+        if (model.elements[element.id - 1] !== element) {
+            continue; // reparsed
+        }
+        (element.id <= ownerId ? before : after).push({
+            ...entry,
+            offset: element.start,
+            startTagEnd: element.startTagEnd,
+            end: element.end,
+            line: element.line,
+            parent: element.parent,
+            globalSequence: element.id
+        });
+    }
+    return before.concat(derived, after);
+}
+
+module.exports = { deriveEntries, updateEntries };
@@ -0,0 +1,411 @@
+// src/utils/indexer.js
+//
+// Builds the element model the modes render from. This module is pure (no
+// `vscode` import) so it can be unit tested and run off the extension host.
+const { tokenize } = require('./xmlTokenizer');
+const { DEFAULT_SCOPE, declareNamespaces, expandName } = require('./namespaces');
+const { createIndexRules, createElementFilter } = require('./indexRules');
+
+/**
+ * Build the element model for `text`.
+ *
+ * Model: { elements, roots, lineStarts, problems }. `elements` is in document order and
+ * each element's `id` is its 1-based position in that array (the
+ * `globalSequence` shown in number mode). Element fields:
+ * { id, tag, prefix, localName, namespace, expandedName, scope, start,
+ *   startTagEnd, closeStart, end, selfClosing, closed, incomplete, parent, depth,
+ *   line, attributes, textSpans, children, orderInTag, totalInTag }
+ * `parent` is the parent id (null at top level) and `children` holds child ids.
+ * `scope` maps the prefixes in scope to namespace URIs. Siblings are numbered
+ * by `expandedName`, so `soap:Body` and `s:Body` bound to one URI count as
+ * the same tag.
+ *
+ * `problems` lists well-formedness errors as { message, start, end }, sorted
+ * by offset. Indexing carries on past them: an end tag that skips open
+ * elements closes them where it appears, and a stray end tag is ignored.
+ *
+ * `options.onProgress({ elements, offset })` is called after every
+ * `options.progressInterval` start tags with the elements started since the
+ * previous call. Their end offsets and sibling totals are not final yet.
+ */
+function buildIndex(text, options = {}) {
+    const lineStarts = computeLineStarts(text);
+    const { onProgress, progressInterval = 20000 } = options;
+    let batch = [];
+
+    const onElement = element => {
+        element.line = lineAt(lineStarts, element.start);
+        if (onProgress) {
+            batch.push(element);
+            if (batch.length >= progressInterval) {
+                onProgress({ elements: batch, offset: element.start });
+                batch = [];
+            }
+        }
+    };
+    const { elements, roots, unclosed, problems } = parseElements(text, 0, null, 1, onElement);
+    if (onProgress && batch.length) {
+        onProgress({ elements: batch, offset: text.length });
+    }
+
+    // Anything still open runs to the end of the document
+    for (const element of unclosed) {
+        element.closeStart = text.length;
+        element.end = text.length;
+        problems.push(unclosedProblem(element));
+    }
+    problems.sort((a, b) => a.start - b.start);
+
+    const model = { elements, roots, lineStarts, problems };
+    numberSiblings(model, roots);
+    for (const element of elements) {
+        numberSiblings(model, element.children);
+    }
+    return model;
+}
+
+// Tokenize `text` (whose first character sits at document offset `base`) into
+// elements nested under `root`, assigning ids from `firstId`. `onElement` is
+// called as each element starts.
+function parseElements(text, base, root, firstId, onElement) {
+    const elements = [];
+    const roots = [];
+    const stack = [];
+    const problems = [];
+    let balanced = true;
+    const current = () => (stack.length ? stack[stack.length - 1] : root);
+
+    tokenize(text, {
+        onStartTag(tag) {
+            const parent = current();
+            const scope = declareNamespaces(parent ? parent.scope : DEFAULT_SCOPE, tag.attributes);
+            const element = {
+                id: firstId + elements.length,
+                tag: tag.name,
+                ...expandName(tag.name, scope),
+                scope,
+                start: base + tag.start,
+                startTagEnd: base + tag.end,
+                closeStart: base + tag.end,
+                end: base + tag.end,
+                selfClosing: tag.selfClosing,
+                closed: tag.selfClosing,
+                incomplete: Boolean(tag.incomplete),
+                parent: parent ? parent.id : null,
+                depth: parent ? parent.depth + 1 : 0,
+                line: 0,
+                attributes: tag.attributes.map(attr => ({
+                    ...attr,
+                    nameStart: base + attr.nameStart,
+                    nameEnd: base + attr.nameEnd,
+                    valueStart: base + attr.valueStart,
+                    valueEnd: base + attr.valueEnd
+                })),
+                textSpans: [],
+                children: [],
+                orderInTag: 1,
+                totalInTag: 1
+            };
+            elements.push(element);
+            if (parent) parent.children.push(element.id);
+            else roots.push(element.id);
+            if (!tag.selfClosing) stack.push(element);
+            if (onElement) onElement(element);
+        },
+        onEndTag(tag) {
+            let match = stack.length - 1;
+            while (match >= 0 && stack[match].tag !== tag.name) match--;
+            const range = { start: base + tag.start, end: base + tag.end };
+
+            if (match === -1) {
+                problems.push({ message: `End tag </${tag.name}> has no matching start tag`, ...range });
+                balanced = false;
+                return;
+            }
+            if (match < stack.length - 1) {
+                // The end tag skips over open elements; close them where it appears
+                problems.push({ message: `End tag </${tag.name}> does not match the open <${stack[stack.length - 1].tag}>`, ...range });
+                for (const skipped of stack.splice(match + 1)) {
+                    skipped.closeStart = range.start;
+                    skipped.end = range.start;
+                    problems.push(unclosedProblem(skipped));
+                }
+                balanced = false;
+            }
+
+            const element = stack.pop();
+            element.closeStart = range.start;
+            element.end = range.end;
+            element.closed = true;
+        },
+        onText(span) {
+            const parent = current();
+            if (parent) parent.textSpans.push({ start: base + span.start, end: base + span.end });
+        },
+        onCData(section) {
+            const parent = current();
+            if (parent) parent.textSpans.push({ start: base + section.contentStart, end: base + section.contentEnd });
+        },
+        onError(error) {
+            problems.push({ message: error.message, start: base + error.start, end: base + error.end });
+            // A malformed token may resolve differently once the text around it
+            // is visible, so a reparsed slice must be clean to be trusted
+            balanced = false;
+        }
+    });
+
+    return { elements, roots, unclosed: stack, problems, balanced: balanced && !stack.length };
+}
+
+function unclosedProblem(element) {
+    return {
+        message: `Element <${element.tag}> is not closed`,
+        start: element.start + 1,
+        end: element.start + 1 + element.tag.length
+    };
+}
+
+// Number same-name siblings among `ids` (the children of one parent)
+function numberSiblings(model, ids) {
+    const totals = new Map();
+    for (const id of ids) {
+        const name = model.elements[id - 1].expandedName;
+        totals.set(name, (totals.get(name) || 0) + 1);
+    }
+    const orders = new Map();
+    for (const id of ids) {
+        const element = model.elements[id - 1];
+        const orderInTag = (orders.get(element.expandedName) || 0) + 1;
+        orders.set(element.expandedName, orderInTag);
+        element.orderInTag = orderInTag;
+        element.totalInTag = totals.get(element.expandedName);
+    }
+}
+
+// Offsets at which each line begins, for offset -> line lookups without a
+// TextDocument
+function computeLineStarts(text, base = 0) {
+    const starts = base ? [] : [0];
+    let i = text.indexOf('\n');
+    while (i !== -1) {
+        starts.push(base + i + 1);
+        i = text.indexOf('\n', i + 1);
+    }
+    return starts;
+}
+
+function lineAt(lineStarts, offset) {
+    let lo = 0;
+    let hi = lineStarts.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (lineStarts[mid] <= offset) lo = mid;
+        else hi = mid - 1;
+    }
+    return lo;
+}
+
+/**
+ * Innermost element whose span [start, end] holds `offset`, or null. A cursor
+ * right after a closing `>` still counts as inside that element.
+ */
+function elementAt(model, offset) {
+    const { elements } = model;
+    let lo = 0;
+    let hi = elements.length - 1;
+    let candidate = -1;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (elements[mid].start <= offset) {
+            candidate = mid;
+            lo = mid + 1;
+        } else {
+            hi = mid - 1;
+        }
+    }
+
+    let element = candidate >= 0 ? elements[candidate] : null;
+    while (element && offset > element.end) {
+        element = element.parent ? elements[element.parent - 1] : null;
+    }
+    return element;
+}
+
+// Innermost closed element whose content (between its tags) holds [start, end]
+function findContentOwner(model, start, end) {
+    const { elements } = model;
+    let lo = 0;
+    let hi = elements.length - 1;
+    let candidate = -1;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (elements[mid].start <= start) {
+            candidate = mid;
+            lo = mid + 1;
+        } else {
+            hi = mid - 1;
+        }
+    }
+
+    let element = candidate >= 0 ? elements[candidate] : null;
+    while (element) {
+        if (element.closed && !element.selfClosing && !element.incomplete &&
+            element.startTagEnd <= start && end <= element.closeStart) {
+            return element;
+        }
+        element = element.parent ? elements[element.parent - 1] : null;
+    }
+    return null;
+}
+
+/**
+ * Apply an edit to `model` in place by reparsing only the element whose
+ * content contains it. `edit` is { start, end, delta } in pre-edit offsets,
+ * where [start, end) was replaced and the document grew by `delta`.
+ * `getText(start, end)` reads the post-edit document.
+ *
+ * Returns the ids of the parents whose children were renumbered, or null
+ * when the edit crosses element boundaries; the model must then be rebuilt.
+ */
+function applyEdit(model, edit, getText) {
+    const { start, end, delta } = edit;
+    const owner = findContentOwner(model, start, end);
+    if (!owner) {
+        return null;
+    }
+
+    const firstIndex = owner.id; // index of the owner's first descendant
+    let oldCount = 0;
+    while (firstIndex + oldCount < model.elements.length &&
+        model.elements[firstIndex + oldCount].start < owner.closeStart) {
+        oldCount++;
+    }
+
+    // Recovery inside a broken subtree, or a problem reported from text the
+    // edit has changed, can only be redone by a full parse
+    if (model.problems.some(problem => (problem.end >= start && problem.start <= end) ||
+        (problem.start >= owner.startTagEnd && problem.start < owner.end))) {
+        return null;
+    }
+
+    const contentStart = owner.startTagEnd;
+    const saved = { children: owner.children, textSpans: owner.textSpans };
+    owner.children = [];
+    owner.textSpans = [];
+    const parsed = parseElements(getText(contentStart, owner.closeStart + delta), contentStart, owner, owner.id + 1);
+    if (!parsed.balanced) {
+        Object.assign(owner, saved);
+        return null;
+    }
+
+    for (const problem of model.problems) {
+        if (problem.start >= end) problem.start += delta;
+        if (problem.end >= end) problem.end += delta;
+    }
+
+    const lastOldId = owner.id + oldCount;
+    const idDelta = parsed.elements.length - oldCount;
+    const lineDelta = updateLineStarts(model, start, end, delta, getText(start, end + delta));
+    const shiftId = id => (id > lastOldId ? id + idDelta : id);
+
+    // Everything after the owner's subtree moves by delta and keeps its numbering
+    const tail = model.elements.slice(firstIndex + oldCount);
+    for (const element of tail) {
+        element.id += idDelta;
+        if (element.parent !== null) element.parent = shiftId(element.parent);
+        element.children = element.children.map(shiftId);
+        element.start += delta;
+        element.startTagEnd += delta;
+        element.closeStart += delta;
+        element.end += delta;
+        element.line += lineDelta;
+        for (const attr of element.attributes) {
+            attr.nameStart += delta;
+            attr.nameEnd += delta;
+            attr.valueStart += delta;
+            attr.valueEnd += delta;
+        }
+        for (const span of element.textSpans) {
+            span.start += delta;
+            span.end += delta;
+        }
+    }
+
+    // The owner and its ancestors only grow or shrink at the end
+    for (let ancestor = owner; ancestor; ancestor = ancestor.parent ? model.elements[ancestor.parent - 1] : null) {
+        ancestor.closeStart += delta;
+        ancestor.end += delta;
+        if (ancestor !== owner) {
+            ancestor.children = ancestor.children.map(shiftId);
+            for (const span of ancestor.textSpans) {
+                if (span.start >= end) {
+                    span.start += delta;
+                    span.end += delta;
+                }
+            }
+        }
+    }
+    model.roots = model.roots.map(shiftId);
+
+    model.elements = model.elements.slice(0, firstIndex).concat(parsed.elements, tail);
+    for (const element of parsed.elements) {
+        element.line = lineAt(model.lineStarts, element.start);
+    }
+
+    const renumbered = [owner.id];
+    numberSiblings(model, owner.children);
+    for (const element of parsed.elements) {
+        numberSiblings(model, element.children);
+        if (element.children.length) renumbered.push(element.id);
+    }
+    return renumbered;
+}
+
+// Replace the line starts inside [start, end) with those of `inserted` and
+// shift the rest. Returns the change in line count.
+function updateLineStarts(model, start, end, delta, inserted) {
+    const { lineStarts } = model;
+    const first = lineAt(lineStarts, start) + 1;
+    let last = first;
+    while (last < lineStarts.length && lineStarts[last] <= end) last++;
+    const added = computeLineStarts(inserted, start);
+    const shifted = lineStarts.slice(last).map(offset => offset + delta);
+    model.lineStarts = lineStarts.slice(0, first).concat(added, shifted);
+    return added.length - (last - first);
+}
+
+/**
+ * Derive the entries the modes display. By default these are elements that
+ * share their name with at least one sibling; `rules` (from createIndexRules)
+ * can change that. Entries at or after the first problem are marked
+ * `unreliable`, since recovery may have guessed the structure wrong.
+ */
+function collectIndexedEntries(model, rules = createIndexRules()) {
+    const isIndexed = createElementFilter(rules);
+    const entries = [];
+    const cutoff = model.problems?.length ? model.problems[0].start : Infinity;
+    for (const element of model.elements) {
+        if (isIndexed(element)) {
+            entries.push({
+                tag: element.tag,
+                prefix: element.prefix,
+                localName: element.localName,
+                namespace: element.namespace,
+                expandedName: element.expandedName,
+                orderInTag: element.orderInTag,
+                totalInTag: element.totalInTag,
+                offset: element.start,
+                startTagEnd: element.startTagEnd,
+                end: element.end,
+                line: element.line,
+                parent: element.parent,
+                depth: element.depth,
+                globalSequence: element.id,
+                unreliable: element.start >= cutoff
+            });
+        }
+    }
+    return entries;
+}
+
+module.exports = { buildIndex, applyEdit, collectIndexedEntries, elementAt, computeLineStarts, lineAt };
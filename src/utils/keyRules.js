@@ -0,0 +1,88 @@
+// src/utils/keyRules.js
+//
+// Key rules label indexed elements by an identifying value instead of only
+// their position. The `xmlIndexer.keyRules` setting maps a tag pattern (same
+// syntax as the index rules) to `@attribute` or to the name of a child
+// element whose text is the key:
+//   { "Item": "@id", "Employee": "Name" }
+const { compileTagPattern } = require('./indexRules');
+const { getAttribute, getElementText } = require('./elementText');
+
+/**
+ * Compile the setting into [{ matches, matchesChild, source, keyName, isAttribute }].
+ * Invalid patterns are dropped and listed in `invalid`.
+ */
+function compileKeyRules(setting = {}) {
+    const rules = [];
+    const invalid = [];
+    for (const [pattern, source] of Object.entries(setting || {})) {
+        if (typeof source !== 'string' || !source.trim()) {
+            continue;
+        }
+        try {
+            const isAttribute = source.startsWith('@');
+            const keyName = isAttribute ? source.slice(1) : source;
+            rules.push({
+                matches: compileTagPattern(pattern),
+                matchesChild: isAttribute ? null : compileTagPattern(keyName),
+                source,
+                keyName,
+                isAttribute
+            });
+        } catch (error) {
+            invalid.push({ pattern, message: error.message });
+        }
+    }
+    rules.invalid = invalid;
+    return rules;
+}
+
+// The key for `element` under the first matching rule as { keyName, key,
+// source }, plus the key child's written name as `childTag`; or null
+function resolveKey(rules, model, element, text) {
+    const rule = rules.find(r => r.matches(element));
+    if (!rule) {
+        return null;
+    }
+    if (rule.isAttribute) {
+        const value = getAttribute(element, rule.keyName);
+        return value === null ? null : { keyName: rule.keyName, key: value, source: rule.source };
+    }
+    for (const childId of element.children) {
+        const child = model.elements[childId - 1];
+        if (rule.matchesChild(child)) {
+            return { keyName: rule.keyName, key: getElementText(child, text), source: rule.source, childTag: child.tag };
+        }
+    }
+    return null;
+}
+
+/**
+ * Add `key` and `keyName` to each entry that has a key rule, and flag
+ * `duplicateKey` on entries whose key repeats among same-name siblings.
+ */
+function applyKeyRules(entries, rules, model, text) {
+    if (!rules.length) {
+        return entries;
+    }
+    const seen = new Map();
+    for (const entry of entries) {
+        const resolved = resolveKey(rules, model, model.elements[entry.globalSequence - 1], text);
+        if (!resolved) {
+            continue;
+        }
+        entry.key = resolved.key;
+        entry.keyName = resolved.keyName;
+        const groupKey = `${entry.parent}\u0000${entry.expandedName}\u0000${resolved.key}`;
+        const first = seen.get(groupKey);
+        if (first) {
+            first.duplicateKey = true;
+            entry.duplicateKey = true;
+        } else {
+            seen.set(groupKey, entry);
+        }
+    }
+    return entries;
+}
+
+module.exports = { compileKeyRules, resolveKey, applyKeyRules };
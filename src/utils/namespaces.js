@@ -0,0 +1,73 @@
+// src/utils/namespaces.js
+//
+// Namespace resolution for the indexer and name formatting for the modes.
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+
+// Bindings in scope before any xmlns declaration; '' is the default namespace
+const DEFAULT_SCOPE = { xml: XML_NAMESPACE };
+
+function splitQName(name) {
+    const colon = name.indexOf(':');
+    return colon === -1
+        ? { prefix: '', localName: name }
+        : { prefix: name.slice(0, colon), localName: name.slice(colon + 1) };
+}
+
+/**
+ * Bindings in scope for an element: the parent's scope plus the element's own
+ * xmlns declarations. Returns `parentScope` itself when nothing is declared so
+ * that scopes are shared down the tree.
+ */
+function declareNamespaces(parentScope, attributes) {
+    let scope = parentScope;
+    for (const attr of attributes) {
+        if (attr.name === 'xmlns' || attr.name.startsWith('xmlns:')) {
+            if (scope === parentScope) scope = { ...parentScope };
+            scope[attr.name === 'xmlns' ? '' : attr.name.slice(6)] = attr.value;
+        }
+    }
+    return scope;
+}
+
+/**
+ * Resolve a `prefix:local` name against `scope`. `expandedName` is in
+ * `{uri}local` form; names without a namespace expand to the local name and
+ * names with an unbound prefix keep their raw form so they never merge with
+ * anything else.
+ */
+function expandName(name, scope) {
+    const { prefix, localName } = splitQName(name);
+    const uri = Object.prototype.hasOwnProperty.call(scope, prefix) ? scope[prefix] : '';
+    if (prefix && !uri) {
+        return { prefix, localName, namespace: null, expandedName: name };
+    }
+    return {
+        prefix,
+        localName,
+        namespace: uri || null,
+        expandedName: uri ? `{${uri}}${localName}` : localName
+    };
+}
+
+// A readable stand-in for a namespace URI: its last meaningful segment, so
+// `http://schemas.xmlsoap.org/soap/envelope/` becomes `envelope`
+function shortAlias(uri) {
+    const segments = uri.split(/[/:#?]+/).filter(segment => segment && !/^[\d.]+$/.test(segment));
+    return segments.length > 1 ? segments[segments.length - 1] : uri;
+}
+
+/**
+ * Name to show for an indexed element. `mode` is 'prefix' (as written),
+ * 'alias' (namespace alias from `aliases`, else shortAlias) or 'local'.
+ */
+function formatElementName(element, mode = 'prefix', aliases = {}) {
+    if (mode === 'local') {
+        return element.localName ?? element.tag;
+    }
+    if (mode === 'alias' && element.namespace) {
+        return `${aliases[element.namespace] || shortAlias(element.namespace)}:${element.localName}`;
+    }
+    return element.tag;
+}
+
+module.exports = { DEFAULT_SCOPE, declareNamespaces, expandName, shortAlias, formatElementName };
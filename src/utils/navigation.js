@@ -0,0 +1,45 @@
+// src/utils/navigation.js
+//
+// Structural moves over a model for the navigation commands. Sibling moves
+// stay within the current element's repeated group (same parent and expanded
+// name), so stepping through a long list never lands on an unrelated tag.
+
+// The repeated group `element` belongs to, in document order
+function siblingsOf(model, element) {
+    const ids = element.parent ? model.elements[element.parent - 1].children : model.roots;
+    return ids
+        .map(id => model.elements[id - 1])
+        .filter(sibling => sibling.expandedName === element.expandedName);
+}
+
+/**
+ * The element reached from `element` by repeating `move` `count` times,
+ * stopping at the first or last sibling, the root or a leaf. Returns null
+ * when not even one step is possible.
+ */
+function navigate(model, element, move, count = 1) {
+    if (move === 'parent' || move === 'firstChild') {
+        let current = element;
+        for (let i = 0; i < count; i++) {
+            const nextId = move === 'parent' ? current.parent : current.children[0];
+            if (!nextId) break;
+            current = model.elements[nextId - 1];
+        }
+        return current === element ? null : current;
+    }
+
+    const siblings = siblingsOf(model, element);
+    const index = siblings.indexOf(element);
+    const targetIndex = {
+        next: Math.min(index + count, siblings.length - 1),
+        previous: Math.max(index - count, 0),
+        first: 0,
+        last: siblings.length - 1
+    }[move];
+    if (targetIndex === undefined) {
+        throw new Error(`Unknown move "${move}"`);
+    }
+    return targetIndex === index ? null : siblings[targetIndex];
+}
+
+module.exports = { siblingsOf, navigate };
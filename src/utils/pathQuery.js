@@ -0,0 +1,200 @@
+// src/utils/pathQuery.js
+//
+// Evaluates the small XPath subset users paste from test reports and logs:
+// absolute paths made of `/` (child) and `//` (descendant) steps, name tests
+// (`Order`, `soap:Body`, `*`) and the predicates `[3]`, `[@id='A7']` and
+// `[Name='Ada']`. Name tests compare names as written and positions count
+// per parent among siblings with that name, as in XPath and as elementPath
+// numbers its steps, so positional and key paths produced by elementPath
+// resolve back to their element.
+const { getAttribute, getElementText } = require('./elementText');
+const { createPathResolver } = require('./elementPath');
+
+// Split on `/` and `//` outside predicates: ['/', 'Orders', '//', 'Item[@id="A/7"]'].
+// Anything before the first separator is dropped, so callers check for it.
+function splitSteps(expression) {
+    const parts = [];
+    let quote = null;
+    let depth = 0;
+    let stepStart = -1;
+    let pos = 0;
+
+    while (pos < expression.length) {
+        const char = expression[pos];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '\'' || char === '"') {
+            quote = char;
+        } else if (char === '[') {
+            depth++;
+        } else if (char === ']') {
+            depth--;
+        } else if (char === '/' && depth === 0) {
+            if (stepStart !== -1) parts.push(expression.slice(stepStart, pos));
+            const separator = expression[pos + 1] === '/' ? '//' : '/';
+            parts.push(separator);
+            pos += separator.length;
+            stepStart = pos;
+            continue;
+        }
+        pos++;
+    }
+    if (quote || depth !== 0) {
+        throw new SyntaxError('Unbalanced quotes or brackets');
+    }
+    if (stepStart !== -1) parts.push(expression.slice(stepStart));
+    return parts;
+}
+
+function parsePredicate(inner) {
+    let match;
+    if ((match = /^\s*(\d+)\s*$/.exec(inner))) {
+        return { type: 'position', value: Number(match[1]) };
+    }
+    if ((match = /^\s*@([^\s=]+)\s*=\s*(['"])(.*)\2\s*$/.exec(inner))) {
+        return { type: 'attribute', name: match[1], value: match[3] };
+    }
+    if ((match = /^\s*([^\s=@]+)\s*=\s*(['"])(.*)\2\s*$/.exec(inner))) {
+        return { type: 'child', name: match[1], value: match[3] };
+    }
+    throw new SyntaxError(`Unsupported predicate [${inner}]`);
+}
+
+/**
+ * Parse an absolute path into [{ axis, name, predicates }]. Throws a
+ * SyntaxError describing the first problem.
+ */
+function parsePath(expression) {
+    const trimmed = expression.trim();
+    if (!trimmed.startsWith('/')) {
+        throw new SyntaxError('Path must start with "/" or "//"');
+    }
+
+    const parts = splitSteps(trimmed);
+    const steps = [];
+    for (let i = 0; i < parts.length; i += 2) {
+        const body = parts[i + 1];
+        const match = body && /^(\*|[^[\]\s/]+)((?:\[(?:[^\]'"]|'[^']*'|"[^"]*")*\])*)$/.exec(body);
+        if (!match) {
+            throw new SyntaxError(`Expected an element name after "${parts[i]}"`);
+        }
+        const predicates = [...match[2].matchAll(/\[((?:[^\]'"]|'[^']*'|"[^"]*")*)\]/g)]
+            .map(m => parsePredicate(m[1]));
+        steps.push({ axis: parts[i] === '//' ? 'descendant' : 'child', name: match[1], predicates });
+    }
+    return steps;
+}
+
+function childrenOf(model, context) {
+    const ids = context ? context.children : model.roots;
+    return ids.map(id => model.elements[id - 1]);
+}
+
+// Elements inside `context` (the whole document for null), in document order
+function descendantsOf(model, context) {
+    if (!context) {
+        return model.elements;
+    }
+    const result = [];
+    for (let i = context.id; i < model.elements.length && model.elements[i].start < context.end; i++) {
+        result.push(model.elements[i]);
+    }
+    return result;
+}
+
+function applyPredicates(group, predicates, model, text) {
+    for (const predicate of predicates) {
+        if (predicate.type === 'position') {
+            const element = group[predicate.value - 1];
+            group = element ? [element] : [];
+        } else if (predicate.type === 'attribute') {
+            group = group.filter(element => getAttribute(element, predicate.name) === predicate.value);
+        } else {
+            group = group.filter(element => element.children.some(id => {
+                const child = model.elements[id - 1];
+                return child.tag === predicate.name && getElementText(child, text) === predicate.value;
+            }));
+        }
+    }
+    return group;
+}
+
+// Apply one step to a list of contexts (null stands for the document)
+function applyStep(model, contexts, step, text) {
+    const nameTest = element => step.name === '*' || element.tag === step.name;
+    const matched = new Set();
+
+    for (const context of contexts) {
+        const groups = new Map();
+        const candidates = step.axis === 'child' ? childrenOf(model, context) : descendantsOf(model, context);
+        for (const element of candidates) {
+            if (nameTest(element)) {
+                if (!groups.has(element.parent)) groups.set(element.parent, []);
+                groups.get(element.parent).push(element);
+            }
+        }
+        for (const group of groups.values()) {
+            for (const element of applyPredicates(group, step.predicates, model, text)) {
+                matched.add(element);
+            }
+        }
+    }
+    return [...matched].sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Elements matched by `expression`, in document order. `text` is the
+ * document text, needed for child-value predicates.
+ */
+function evaluatePath(model, expression, text = '') {
+    let contexts = [null];
+    for (const step of parsePath(expression)) {
+        contexts = applyStep(model, contexts, step, text);
+    }
+    return contexts;
+}
+
+/**
+ * Completions for the step being typed at the end of `expression`: full
+ * paths extending the part before the last separator by one step. Returns []
+ * when that part does not parse.
+ */
+function suggestNextSteps(model, expression, text = '', limit = 100) {
+    const trimmed = expression.trim();
+    let parts;
+    try {
+        parts = trimmed.startsWith('/') ? splitSteps(trimmed) : null;
+    } catch {
+        parts = null;
+    }
+    if (!parts) {
+        return [];
+    }
+
+    const trailing = parts.length % 2 === 0 ? parts.pop() : '';
+    const separator = parts.pop();
+    const base = parts.join('');
+    let contexts;
+    try {
+        contexts = base ? evaluatePath(model, base, text) : [null];
+    } catch {
+        return [];
+    }
+
+    const { step: stepOf } = createPathResolver(model);
+    const suggestions = new Set();
+    for (const context of contexts) {
+        const candidates = separator === '//' ? descendantsOf(model, context) : childrenOf(model, context);
+        for (const element of candidates) {
+            // Descendant steps suggest names only; positions there are per parent
+            const step = separator === '//' ? element.tag : stepOf(element);
+            if (step.startsWith(trailing)) {
+                suggestions.add(`${base}${separator}${step}`);
+                if (suggestions.size >= limit) return [...suggestions];
+            }
+        }
+    }
+    return [...suggestions];
+}
+
+module.exports = { parsePath, evaluatePath, suggestNextSteps };
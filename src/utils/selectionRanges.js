@@ -0,0 +1,66 @@
+// src/utils/selectionRanges.js
+//
+// Smart-select steps for an offset, innermost first: attribute value,
+// attribute, tag name, start (or end) tag, element content, whole element,
+// sibling group, then the same from the element step for each ancestor.
+// Each step contains the previous one, as Expand Selection requires.
+const { elementAt } = require('./indexer');
+const { siblingsOf } = require('./navigation');
+
+function tagSteps(element, offset, text) {
+    const steps = [];
+    if (offset < element.startTagEnd) {
+        const attr = element.attributes.find(a => a.nameStart <= offset && offset <= a.valueEnd);
+        if (attr) {
+            if (attr.valueStart > attr.nameEnd && attr.valueStart <= offset) {
+                steps.push({ start: attr.valueStart, end: attr.valueEnd });
+            }
+            const quoted = text[attr.valueEnd] === '"' || text[attr.valueEnd] === '\'';
+            steps.push({ start: attr.nameStart, end: attr.valueEnd + (quoted ? 1 : 0) });
+        } else if (offset <= element.start + 1 + element.tag.length) {
+            steps.push({ start: element.start + 1, end: element.start + 1 + element.tag.length });
+        }
+        steps.push({ start: element.start, end: element.startTagEnd });
+    } else if (element.closed && !element.selfClosing && offset >= element.closeStart) {
+        const nameStart = element.closeStart + 2;
+        if (offset >= nameStart && offset <= nameStart + element.tag.length) {
+            steps.push({ start: nameStart, end: nameStart + element.tag.length });
+        }
+        steps.push({ start: element.closeStart, end: element.end });
+    } else if (element.closed && !element.selfClosing) {
+        steps.push({ start: element.startTagEnd, end: element.closeStart });
+    }
+    return steps;
+}
+
+/**
+ * Selection steps [{ start, end }] around `offset`, innermost first. Empty
+ * when the offset is outside every element.
+ */
+function getSelectionSteps(model, text, offset) {
+    const element = elementAt(model, offset);
+    if (!element) {
+        return [];
+    }
+
+    const steps = tagSteps(element, offset, text);
+    for (let current = element; current; current = current.parent ? model.elements[current.parent - 1] : null) {
+        steps.push({ start: current.start, end: current.end });
+        const siblings = siblingsOf(model, current);
+        if (siblings.length > 1) {
+            steps.push({ start: siblings[0].start, end: siblings[siblings.length - 1].end });
+        }
+    }
+
+    // Drop empty steps and repeats so every step grows the selection
+    const result = [];
+    for (const step of steps) {
+        const last = result[result.length - 1];
+        if (step.end > step.start && !(last && last.start === step.start && last.end === step.end)) {
+            result.push(step);
+        }
+    }
+    return result;
+}
+
+module.exports = { getSelectionSteps };
@@ -0,0 +1,72 @@
+// src/utils/workerIndexer.js
+//
+// Runs buildIndex in a worker thread so large documents do not block the
+// extension host. Pure Node (no `vscode` import); the cancellation token only
+// needs the CancellationToken shape.
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+/**
+ * Index `text` in a worker. Resolves with the model, or null when `token` is
+ * cancelled first. `onProgress(partial, fraction)` receives the elements seen
+ * so far as a model whose sibling numbering is provisional: `orderInTag` is
+ * final, `totalInTag` counts only the siblings already seen, and `roots` and
+ * `children` hold only the elements already seen.
+ */
+function indexInWorker(text, { token, onProgress, progressInterval } = {}) {
+    return new Promise((resolve, reject) => {
+        if (token?.isCancellationRequested) {
+            resolve(null);
+            return;
+        }
+
+        const worker = new Worker(path.join(__dirname, 'indexWorker.js'), {
+            workerData: { text, progressInterval }
+        });
+        const partial = { elements: [], roots: [] };
+        const counts = new Map();
+        let settled = false;
+        let cancellation = null;
+
+        const finish = (fn, value) => {
+            if (settled) return;
+            settled = true;
+            cancellation?.dispose();
+            fn(value);
+        };
+
+        cancellation = token?.onCancellationRequested(() => {
+            worker.terminate();
+            finish(resolve, null);
+        });
+
+        worker.on('message', message => {
+            if (message.type === 'progress') {
+                for (const element of message.elements) {
+                    const key = `${element.parent}\u0000${element.expandedName}`;
+                    element.orderInTag = (counts.get(key) || 0) + 1;
+                    counts.set(key, element.orderInTag);
+                    // A batch is posted while elements are still open, so
+                    // their children are linked here as they arrive
+                    element.children = [];
+                    if (element.parent) partial.elements[element.parent - 1].children.push(element.id);
+                    else partial.roots.push(element.id);
+                    partial.elements.push(element);
+                }
+                for (const element of partial.elements) {
+                    element.totalInTag = counts.get(`${element.parent}\u0000${element.expandedName}`);
+                }
+                if (onProgress && !settled) {
+                    onProgress(partial, text.length ? message.offset / text.length : 1);
+                }
+            } else if (message.type === 'done') {
+                finish(resolve, message.model);
+                worker.terminate();
+            }
+        });
+        worker.on('error', error => finish(reject, error));
+        worker.on('exit', code => finish(reject, new Error(`Index worker exited with code ${code}`)));
+    });
+}
+
+module.exports = { indexInWorker };
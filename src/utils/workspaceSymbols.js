@@ -0,0 +1,108 @@
+// src/utils/workspaceSymbols.js
+//
+// Symbols for the workspace-wide index behind Go to Symbol in Workspace. Each
+// indexed element of a file becomes one record named by the last step of its
+// key path (`Order[@id='42']`) or positional path (`Order[2]`), with the
+// parent path as its container, and keeps the name parts and depth the icon
+// rules match on. Records are plain data so the index can be persisted as
+// JSON.
+const { buildIndex, collectIndexedEntries } = require('./indexer');
+const { applyKeyRules } = require('./keyRules');
+const { createPathResolver } = require('./elementPath');
+const { createIndexRules } = require('./indexRules');
+
+// Last step of a path, ignoring slashes inside predicates
+function lastStep(path) {
+    let depth = 0;
+    for (let i = path.length - 1; i >= 0; i--) {
+        if (path[i] === ']') depth++;
+        else if (path[i] === '[') depth--;
+        else if (path[i] === '/' && depth === 0) return path.slice(i + 1);
+    }
+    return path;
+}
+
+/**
+ * Symbol records [{ name, tag, localName, namespace, depth, container, line,
+ * character }] for `model`, or for `text` when no model is given.
+ */
+function collectSymbols(text, { model = buildIndex(text), rules = createIndexRules(), keyRules = [] } = {}) {
+    const entries = applyKeyRules(collectIndexedEntries(model, rules), keyRules, model, text);
+    const resolver = createPathResolver(model, { keyRules, text });
+
+    return entries.map(entry => {
+        const element = model.elements[entry.globalSequence - 1];
+        const parent = element.parent ? model.elements[element.parent - 1] : null;
+        return {
+            name: lastStep(keyRules.length ? resolver.keyPath(element) : resolver.path(element)),
+            tag: element.tag,
+            localName: element.localName,
+            namespace: element.namespace,
+            depth: element.depth,
+            container: parent ? (keyRules.length ? resolver.keyPath(parent) : resolver.path(parent)) : '',
+            line: element.line,
+            character: element.start - model.lineStarts[element.line]
+        };
+    });
+}
+
+// Case-insensitive subsequence match, as Go to Symbol does
+function matchesQuery(name, query) {
+    const haystack = name.toLowerCase();
+    let pos = 0;
+    for (const char of query.toLowerCase()) {
+        pos = haystack.indexOf(char, pos) + 1;
+        if (pos === 0) return false;
+    }
+    return true;
+}
+
+// Path glob (`**/fixtures/*.xml`, `{a,b}/*.xml`) to a regular expression over
+// `/`-separated relative paths
+function globToPathRegExp(glob) {
+    let source = '';
+    let braces = 0;
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            const slash = glob[i + 2] === '/';
+            source += slash ? '(?:.*/)?' : '.*';
+            i += slash ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            braces++;
+            source += '(?:';
+        } else if (char === '}' && braces) {
+            braces--;
+            source += ')';
+        } else if (char === ',' && braces) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Predicate telling whether a relative path is excluded by any of `globs`,
+ * either itself or through one of its parent folders (like `files.exclude`).
+ */
+function createExcludeFilter(globs) {
+    const patterns = globs.map(globToPathRegExp);
+    return relativePath => {
+        const parts = relativePath.split('/');
+        for (let i = 1; i <= parts.length; i++) {
+            const prefix = parts.slice(0, i).join('/');
+            if (patterns.some(pattern => pattern.test(prefix))) {
+                return true;
+            }
+        }
+        return false;
+    };
+}
+
+module.exports = { collectSymbols, matchesQuery, globToPathRegExp, createExcludeFilter };
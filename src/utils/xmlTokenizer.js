@@ -0,0 +1,320 @@
+// src/utils/xmlTokenizer.js
+//
+// Single-pass streaming XML tokenizer. It never builds a tree; it walks the
+// text once and reports every piece of markup to a handler with absolute
+// offsets, so callers can index elements without a regex guessing where a tag
+// ends. Comments, CDATA sections, processing instructions and DOCTYPE
+// declarations (including an internal subset) are recognised and skipped as
+// units, and quoted attribute values may contain `>`.
+//
+// Handler callbacks (all optional):
+//   onStartTag({ name, start, end, nameStart, nameEnd, attributes, selfClosing, incomplete })
+//   onEndTag({ name, start, end, nameStart, nameEnd })
+//   onText({ start, end })
+//   onCData({ start, end, contentStart, contentEnd })
+//   onComment({ start, end })
+//   onProcessingInstruction({ target, start, end })
+//   onDoctype({ start, end })
+//   onError({ message, start, end })
+//
+// `end` offsets are always exclusive. `incomplete` marks a start tag that was
+// cut short by the next `<` instead of ending with `>`.
+
+// Characters that can never be part of an XML name
+function isNameTerminator(code) {
+    return code === 0x20 || code === 0x09 || code === 0x0A || code === 0x0D ||
+        code === 0x2F /* / */ || code === 0x3E /* > */ || code === 0x3D /* = */ ||
+        code === 0x3C /* < */ || code === 0x22 /* " */ || code === 0x27 /* ' */ ||
+        code === 0x3F /* ? */ || code === 0x21 /* ! */;
+}
+
+function isWhitespace(code) {
+    return code === 0x20 || code === 0x09 || code === 0x0A || code === 0x0D;
+}
+
+// Any character except the ones above may start a name; this accepts `.`,
+// `-` and every non-ASCII letter, which the old `[A-Za-z0-9_:-]` pattern lost.
+function isNameStart(code) {
+    return !Number.isNaN(code) && !isNameTerminator(code) &&
+        code !== 0x2D /* - */ && code !== 0x2E /* . */ && !(code >= 0x30 && code <= 0x39);
+}
+
+function readName(text, pos, end) {
+    let i = pos;
+    while (i < end && !isNameTerminator(text.charCodeAt(i))) i++;
+    return i;
+}
+
+// Whether all of `value` is one name, by the rules the tokenizer reads names with
+function isXmlName(value) {
+    return value.length > 0 && isNameStart(value.charCodeAt(0)) && readName(value, 0, value.length) === value.length;
+}
+
+function skipWhitespace(text, pos, end) {
+    while (pos < end && isWhitespace(text.charCodeAt(pos))) pos++;
+    return pos;
+}
+
+/**
+ * Tokenize `text` between `options.start` and `options.end` (defaults to the
+ * whole string), calling the matching handler method for every token.
+ * Offsets reported to the handler are absolute positions in `text`.
+ */
+function tokenize(text, handler = {}, options = {}) {
+    const limit = Math.min(options.end ?? text.length, text.length);
+    let pos = options.start ?? 0;
+
+    const error = (message, start, end) => {
+        if (handler.onError) handler.onError({ message, start, end });
+    };
+    const emitText = (start, end) => {
+        if (end > start && handler.onText) handler.onText({ start, end });
+    };
+
+    while (pos < limit) {
+        const lt = text.indexOf('<', pos);
+        if (lt === -1 || lt >= limit) {
+            emitText(pos, limit);
+            break;
+        }
+        emitText(pos, lt);
+        pos = lt;
+
+        const next = text.charCodeAt(lt + 1);
+
+        // <!-- comment -->
+        if (text.startsWith('<!--', lt)) {
+            const close = text.indexOf('-->', lt + 4);
+            if (close === -1 || close + 3 > limit) {
+                error('Unterminated comment', lt, limit);
+                pos = limit;
+                break;
+            }
+            pos = close + 3;
+            if (handler.onComment) handler.onComment({ start: lt, end: pos });
+            continue;
+        }
+
+        // <![CDATA[ ... ]]>
+        if (text.startsWith('<![CDATA[', lt)) {
+            const contentStart = lt + 9;
+            const close = text.indexOf(']]>', contentStart);
+            if (close === -1 || close + 3 > limit) {
+                error('Unterminated CDATA section', lt, limit);
+                pos = limit;
+                break;
+            }
+            pos = close + 3;
+            if (handler.onCData) handler.onCData({ start: lt, end: pos, contentStart, contentEnd: close });
+            continue;
+        }
+
+        // <!DOCTYPE ... [ internal subset ] >
+        if (next === 0x21 /* ! */) {
+            const end = scanDeclaration(text, lt + 2, limit);
+            if (end === -1) {
+                error('Unterminated declaration', lt, limit);
+                pos = limit;
+                break;
+            }
+            pos = end;
+            if (handler.onDoctype) handler.onDoctype({ start: lt, end: pos });
+            continue;
+        }
+
+        // <?target ... ?>
+        if (next === 0x3F /* ? */) {
+            const close = text.indexOf('?>', lt + 2);
+            if (close === -1 || close + 2 > limit) {
+                error('Unterminated processing instruction', lt, limit);
+                pos = limit;
+                break;
+            }
+            const target = text.slice(lt + 2, readName(text, lt + 2, close));
+            pos = close + 2;
+            if (handler.onProcessingInstruction) handler.onProcessingInstruction({ target, start: lt, end: pos });
+            continue;
+        }
+
+        // </name>
+        if (next === 0x2F /* / */) {
+            const nameStart = lt + 2;
+            const nameEnd = readName(text, nameStart, limit);
+            const gt = text.indexOf('>', nameEnd);
+            if (nameEnd === nameStart || gt === -1 || gt >= limit) {
+                error('Malformed end tag', lt, Math.max(nameEnd, lt + 2));
+                emitText(lt, lt + 1);
+                pos = lt + 1;
+                continue;
+            }
+            if (skipWhitespace(text, nameEnd, gt) !== gt) {
+                error('Unexpected content in end tag', nameEnd, gt);
+            }
+            pos = gt + 1;
+            if (handler.onEndTag) {
+                handler.onEndTag({ name: text.slice(nameStart, nameEnd), start: lt, end: pos, nameStart, nameEnd });
+            }
+            continue;
+        }
+
+        // <name attr="value" ...> or <name ... />
+        if (isNameStart(next)) {
+            const tag = scanStartTag(text, lt, limit, error);
+            if (!tag) {
+                pos = limit;
+                break;
+            }
+            pos = tag.end;
+            if (handler.onStartTag) handler.onStartTag(tag);
+            continue;
+        }
+
+        // A bare `<` that does not open markup is treated as text
+        error('Unescaped "<" in text', lt, lt + 1);
+        emitText(lt, lt + 1);
+        pos = lt + 1;
+    }
+}
+
+// Scan a `<!...>` declaration, honouring quoted strings, nested comments and
+// the bracketed internal subset. Returns the offset after the closing `>`.
+function scanDeclaration(text, pos, limit) {
+    let depth = 0;
+    while (pos < limit) {
+        const code = text.charCodeAt(pos);
+        if (code === 0x22 || code === 0x27) {
+            const close = text.indexOf(code === 0x22 ? '"' : '\'', pos + 1);
+            if (close === -1 || close >= limit) return -1;
+            pos = close + 1;
+        } else if (code === 0x3C && text.startsWith('<!--', pos)) {
+            const close = text.indexOf('-->', pos + 4);
+            if (close === -1 || close + 3 > limit) return -1;
+            pos = close + 3;
+        } else if (code === 0x5B /* [ */) {
+            depth++;
+            pos++;
+        } else if (code === 0x5D /* ] */) {
+            depth = Math.max(0, depth - 1);
+            pos++;
+        } else if (code === 0x3E /* > */ && depth === 0) {
+            return pos + 1;
+        } else {
+            pos++;
+        }
+    }
+    return -1;
+}
+
+function scanStartTag(text, start, limit, error) {
+    const nameStart = start + 1;
+    const nameEnd = readName(text, nameStart, limit);
+    const attributes = [];
+    let pos = nameEnd;
+
+    while (pos < limit) {
+        pos = skipWhitespace(text, pos, limit);
+        const code = text.charCodeAt(pos);
+
+        if (code === 0x3E /* > */) {
+            return {
+                name: text.slice(nameStart, nameEnd), start, end: pos + 1,
+                nameStart, nameEnd, attributes, selfClosing: false
+            };
+        }
+        if (code === 0x2F /* / */ && text.charCodeAt(pos + 1) === 0x3E) {
+            return {
+                name: text.slice(nameStart, nameEnd), start, end: pos + 2,
+                nameStart, nameEnd, attributes, selfClosing: true
+            };
+        }
+        if (code === 0x3C /* < */) {
+            // The tag was never closed; end it here so the next tag is still seen
+            error('Unterminated start tag', start, pos);
+            return {
+                name: text.slice(nameStart, nameEnd), start, end: pos,
+                nameStart, nameEnd, attributes, selfClosing: false, incomplete: true
+            };
+        }
+
+        const attrNameStart = pos;
+        const attrNameEnd = readName(text, pos, limit);
+        if (attrNameEnd === attrNameStart) {
+            error('Unexpected character in start tag', pos, pos + 1);
+            pos++;
+            continue;
+        }
+        const attribute = {
+            name: text.slice(attrNameStart, attrNameEnd),
+            value: '',
+            nameStart: attrNameStart,
+            nameEnd: attrNameEnd,
+            valueStart: attrNameEnd,
+            valueEnd: attrNameEnd
+        };
+        attributes.push(attribute);
+        pos = skipWhitespace(text, attrNameEnd, limit);
+
+        if (text.charCodeAt(pos) !== 0x3D /* = */) {
+            error(`Attribute "${attribute.name}" has no value`, attrNameStart, attrNameEnd);
+            continue;
+        }
+        pos = skipWhitespace(text, pos + 1, limit);
+        const quote = text.charCodeAt(pos);
+
+        if (quote === 0x22 || quote === 0x27) {
+            const close = text.indexOf(quote === 0x22 ? '"' : '\'', pos + 1);
+            if (close === -1 || close >= limit) {
+                error('Unterminated attribute value', pos, limit);
+                return null;
+            }
+            attribute.valueStart = pos + 1;
+            attribute.valueEnd = close;
+            attribute.value = text.slice(pos + 1, close);
+            pos = close + 1;
+        } else {
+            // Unquoted values are not XML, but keep going the way HTML would
+            const valueEnd = readName(text, pos, limit);
+            error(`Attribute "${attribute.name}" value is not quoted`, pos, valueEnd);
+            attribute.valueStart = pos;
+            attribute.valueEnd = valueEnd;
+            attribute.value = text.slice(pos, valueEnd);
+            pos = valueEnd;
+        }
+    }
+
+    error('Unterminated start tag', start, limit);
+    return null;
+}
+
+// Whether `<value>` is exactly one start tag without errors: a name and
+// any attributes, each with its own name and a quoted value without `<`
+function isStartTagContent(value) {
+    const source = `<${value}>`;
+    let tag = null;
+    let tokens = 0;
+    let valid = true;
+    tokenize(source, {
+        onStartTag(startTag) { tag = startTag; tokens++; },
+        onEndTag() { tokens++; },
+        onText() { tokens++; },
+        onCData() { tokens++; },
+        onComment() { tokens++; },
+        onProcessingInstruction() { tokens++; },
+        onDoctype() { tokens++; },
+        onError() { valid = false; }
+    });
+    if (!valid || tokens !== 1 || !tag || tag.end !== source.length || tag.selfClosing || !isXmlName(tag.name)) {
+        return false;
+    }
+    const names = new Set();
+    for (const attr of tag.attributes) {
+        if (!isXmlName(attr.name) || names.has(attr.name) || attr.value.includes('<') ||
+            !isWhitespace(source.charCodeAt(attr.nameStart - 1))) {
+            return false;
+        }
+        names.add(attr.name);
+    }
+    return true;
+}
+
+module.exports = { tokenize, isXmlName, isStartTagContent };
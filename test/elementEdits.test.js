@@ -0,0 +1,89 @@
+const assert = require('assert');
+const { buildIndex } = require('../src/utils/indexer');
+const { elementSource, duplicateEdit, deleteEdit, wrapEdit, relocateEdit, moveEdit } = require('../src/utils/elementEdits');
+
+const text = '<list>\n    <item id="1">\n        <name>A</name>\n    </item>\n    <item id="2"/><note/>\n</list>';
+
+function apply(edit) {
+	return text.slice(0, edit.start) + edit.newText + text.slice(edit.end);
+}
+
+function element(model, tag, index = 0) {
+	return model.elements.filter(e => e.tag === tag)[index];
+}
+
+suite('Element edits', () => {
+	test('duplicates an element on its own line with its indentation', () => {
+		const model = buildIndex(text);
+		assert.strictEqual(elementSource(text, element(model, 'name')), '<name>A</name>');
+		assert.strictEqual(
+			apply(duplicateEdit(text, element(model, 'item'))),
+			'<list>\n    <item id="1">\n        <name>A</name>\n    </item>\n    <item id="1">\n        <name>A</name>\n    </item>\n    <item id="2"/><note/>\n</list>'
+		);
+		assert.strictEqual(apply(duplicateEdit(text, element(model, 'note'))).includes('<note/><note/>'), true);
+	});
+
+	test('deletes whole lines only when the element is alone on them', () => {
+		const model = buildIndex(text);
+		assert.strictEqual(
+			apply(deleteEdit(text, element(model, 'item'))),
+			'<list>\n    <item id="2"/><note/>\n</list>'
+		);
+		assert.strictEqual(
+			apply(deleteEdit(text, element(model, 'item', 1))),
+			'<list>\n    <item id="1">\n        <name>A</name>\n    </item>\n    <note/>\n</list>'
+		);
+		const single = '<a>\n  <b/>\n  <c/></a>\n<!-- x -->';
+		const last = buildIndex(single).elements[0];
+		assert.deepStrictEqual(deleteEdit(single, last), { start: 0, end: single.indexOf('<!--'), newText: '' });
+		const trailing = '<x/>\r\n  <y/>';
+		assert.deepStrictEqual(deleteEdit(trailing, buildIndex(trailing).elements[1]), { start: 4, end: trailing.length, newText: '' });
+	});
+
+	test('wraps an element in a new parent and re-indents it', () => {
+		const model = buildIndex(text);
+		assert.strictEqual(
+			apply(wrapEdit(text, element(model, 'item'), 'group kind="x"', '  ')),
+			'<list>\n    <group kind="x">\n      <item id="1">\n          <name>A</name>\n      </item>\n    </group>\n    <item id="2"/><note/>\n</list>'
+		);
+		assert.strictEqual(apply(wrapEdit(text, element(model, 'note'), 'w')).includes('<w><note/></w>'), true);
+	});
+
+	test('swaps an element with its previous or next sibling', () => {
+		const model = buildIndex(text);
+		const second = element(model, 'item', 1);
+		assert.strictEqual(
+			apply(moveEdit(model, text, second, 'up')),
+			'<list>\n    <item id="2"/>\n    <item id="1">\n        <name>A</name>\n    </item><note/>\n</list>'
+		);
+		assert.strictEqual(apply(moveEdit(model, text, second, 'down')).includes('<note/><item id="2"/>'), true);
+		assert.strictEqual(moveEdit(model, text, element(model, 'item'), 'up'), null);
+		assert.strictEqual(moveEdit(model, text, element(model, 'note'), 'down'), null);
+	});
+
+	test('moves an element before or after another as whole lines', () => {
+		const steps = '<case>\n  <step n="1"/>\n  <step n="2">\n    <do/>\n  </step>\n  <step n="3"/>\n</case>';
+		const model = buildIndex(steps);
+		const [, one, two, , three] = model.elements;
+		const move = edit => steps.slice(0, edit.start) + edit.newText + steps.slice(edit.end);
+		assert.strictEqual(
+			move(relocateEdit(steps, three, one, 'before')),
+			'<case>\n  <step n="3"/>\n  <step n="1"/>\n  <step n="2">\n    <do/>\n  </step>\n</case>'
+		);
+		assert.strictEqual(
+			move(relocateEdit(steps, one, three, 'after')),
+			'<case>\n  <step n="2">\n    <do/>\n  </step>\n  <step n="3"/>\n  <step n="1"/>\n</case>'
+		);
+		assert.strictEqual(
+			move(relocateEdit(steps, two, model.elements[0], 'after')),
+			'<case>\n  <step n="1"/>\n  <step n="3"/>\n</case>\n<step n="2">\n  <do/>\n</step>'
+		);
+		assert.throws(() => relocateEdit(steps, two, model.elements[3], 'before'), /into itself/);
+	});
+
+	test('refuses elements without an end tag', () => {
+		const broken = '<a><b></a>';
+		const model = buildIndex(broken);
+		assert.throws(() => duplicateEdit(broken, element(model, 'b')), /not closed/);
+	});
+});
@@ -0,0 +1,75 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { buildIndex, collectIndexedEntries } = require('../src/utils/indexer');
+const { compileKeyRules } = require('../src/utils/keyRules');
+const { assignPaths, createPathResolver, compactPath, quoteXPathLiteral } = require('../src/utils/elementPath');
+
+const text = `<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
+	<soap:Body>
+		<Order id="41"><Line/><Line/></Order>
+		<Order id="42"><Line/><Line/><Line/></Order>
+	</soap:Body>
+</soap:Envelope>`;
+
+suite('Element paths', () => {
+	test('builds positional paths with prefixes', () => {
+		const model = buildIndex(text);
+		const entries = assignPaths(collectIndexedEntries(model), model);
+		assert.deepStrictEqual(entries.filter(e => e.tag === 'Order').map(e => e.path),
+			['/soap:Envelope/soap:Body/Order[1]', '/soap:Envelope/soap:Body/Order[2]']);
+		assert.strictEqual(entries[entries.length - 1].path, '/soap:Envelope/soap:Body/Order[2]/Line[3]');
+	});
+
+	test('uses key predicates where key rules apply', () => {
+		const model = buildIndex(text);
+		const entries = assignPaths(collectIndexedEntries(model), model, { keyRules: compileKeyRules({ Order: '@id' }), text });
+		assert.strictEqual(entries[entries.length - 1].keyPath, '/soap:Envelope/soap:Body/Order[@id=\'42\']/Line[3]');
+	});
+
+	test('builds index paths and JSON pointers', () => {
+		const model = buildIndex(text);
+		const resolver = createPathResolver(model);
+		const line = model.elements[model.elements.length - 1];
+		assert.strictEqual(resolver.indexPath(line), '/1/1/2/3');
+		assert.strictEqual(resolver.jsonPointer(line), '/soap:Envelope/soap:Body/Order/1/Line/2');
+	});
+
+	test('builds compact readouts numbered out of the sibling count', () => {
+		const model = buildIndex(text);
+		const line = model.elements[model.elements.length - 1];
+		assert.strictEqual(compactPath(model, line), '… › soap:Body › Order[2] › Line[3/3]');
+		assert.strictEqual(compactPath(model, line, { maxSteps: 5, nameOf: e => e.localName }), 'Envelope › Body › Order[2] › Line[3/3]');
+		assert.strictEqual(compactPath(model, model.elements[0]), 'soap:Envelope');
+
+		const prefixed = buildIndex('<r xmlns:a="u" xmlns:b="u"><a:Y/><b:Y/><a:Y/></r>');
+		const { path: pathOf, numbering } = createPathResolver(prefixed);
+		assert.strictEqual(compactPath(prefixed, prefixed.elements[3], { numbering }), 'r › a:Y[2/2]');
+		assert.strictEqual(pathOf(prefixed.elements[3]), '/r/a:Y[2]');
+		assert.strictEqual(compactPath(prefixed, prefixed.elements[2]), 'r › b:Y');
+	});
+
+	test('gives namespaced and aliased siblings distinct paths', () => {
+		const mixed = '<r xmlns:a="u" xmlns:b="u"><X xmlns="u1"/><X xmlns="u2"/><a:Y/><b:Y/><a:Y/></r>';
+		const model = buildIndex(mixed);
+		const resolver = createPathResolver(model);
+		assert.deepStrictEqual(model.elements.slice(1).map(resolver.path),
+			['/r/X[1]', '/r/X[2]', '/r/a:Y[1]', '/r/b:Y', '/r/a:Y[2]']);
+		assert.deepStrictEqual(model.elements.slice(1).map(resolver.jsonPointer),
+			['/r/X/0', '/r/X/1', '/r/a:Y/0', '/r/b:Y', '/r/a:Y/1']);
+	});
+
+	test('gives every element of the fixtures its own path', () => {
+		const fixtures = path.join(__dirname, 'fixtures');
+		for (const file of fs.readdirSync(fixtures)) {
+			const model = buildIndex(fs.readFileSync(path.join(fixtures, file), 'utf8'));
+			const paths = model.elements.map(createPathResolver(model).path);
+			assert.strictEqual(new Set(paths).size, paths.length, file);
+		}
+	});
+
+	test('quotes literals containing quotes', () => {
+		assert.strictEqual(quoteXPathLiteral('it\'s'), '"it\'s"');
+		assert.strictEqual(quoteXPathLiteral('a\'b"c'), 'concat(\'a\', "\'", \'b"c\')');
+	});
+});
@@ -0,0 +1,74 @@
+const assert = require('assert');
+const { buildIndex } = require('../src/utils/indexer');
+const { buildTable, cellEdit } = require('../src/utils/elementTable');
+
+const text = [
+	'<Staff>',
+	'  <Employee id="1" dept=\'R&amp;D\'>',
+	'    <Name>Ann</Name>',
+	'    <Phone>1</Phone><Phone>2</Phone>',
+	'  </Employee>',
+	'  <Employee id="2">',
+	'    <Name/>',
+	'    <Age>40</Age>',
+	'  </Employee>',
+	'  <Employee id="3"/>',
+	'</Staff>'
+].join('\n');
+
+function employees(model) {
+	return model.elements.filter(e => e.tag === 'Employee');
+}
+
+function apply(edit) {
+	return text.slice(0, edit.start) + edit.newText + text.slice(edit.end);
+}
+
+suite('Element table', () => {
+	test('builds columns from attributes and simple children', () => {
+		const model = buildIndex(text);
+		const { columns, rows } = buildTable(model, text, employees(model));
+		assert.deepStrictEqual(columns.map(c => c.id), ['@id', '@dept', 'Name', 'Age']);
+		assert.deepStrictEqual(rows.map(r => r.cells), [
+			{ '@id': '1', '@dept': 'R&D', Name: 'Ann' },
+			{ '@id': '2', Name: '', Age: '40' },
+			{ '@id': '3' }
+		]);
+		assert.strictEqual(rows[1].line, 5);
+	});
+
+	test('rewrites existing attributes and child text', () => {
+		const model = buildIndex(text);
+		const [first, second] = employees(model);
+		const { columns } = buildTable(model, text, employees(model));
+		const column = id => columns.find(c => c.id === id);
+		assert.ok(apply(cellEdit(model, text, first, column('@dept'), 'It\'s <new>')).includes('dept=\'It&apos;s &lt;new>\''));
+		assert.ok(apply(cellEdit(model, text, first, column('Name'), 'A & B')).includes('<Name>A &amp; B</Name>'));
+		assert.ok(apply(cellEdit(model, text, second, column('Name'), 'Bo')).includes('    <Name>Bo</Name>\n    <Age>'));
+	});
+
+	test('adds missing attributes and children', () => {
+		const model = buildIndex(text);
+		const [first, , third] = employees(model);
+		const { columns } = buildTable(model, text, employees(model));
+		const column = id => columns.find(c => c.id === id);
+		assert.ok(apply(cellEdit(model, text, third, column('@dept'), 'HR')).includes('<Employee id="3" dept="HR"/>'));
+		assert.ok(apply(cellEdit(model, text, first, column('Age'), '30')).includes('<Phone>2</Phone>\n    <Age>30</Age>\n  </Employee>'));
+		assert.throws(() => cellEdit(model, text, third, column('Age'), '1'), /no content/);
+	});
+
+	test('handles attributes without a quoted value', () => {
+		const loose = '<r><Row flag id=7/><Row a=""><x/></Row></r>';
+		const model = buildIndex(loose);
+		const [first, second] = model.elements.filter(e => e.tag === 'Row');
+		const set = (element, column, value) => {
+			const edit = cellEdit(model, loose, element, column, value);
+			return loose.slice(0, edit.start) + edit.newText + loose.slice(edit.end);
+		};
+		assert.ok(set(first, { kind: 'attribute', name: 'flag' }, 'on').includes('<Row flag="on" id=7/>'));
+		assert.ok(set(first, { kind: 'attribute', name: 'id' }, '8').includes('<Row flag id="8"/>'));
+		assert.ok(set(first, { kind: 'attribute', name: 'new' }, 'v').includes('<Row flag id=7 new="v"/>'));
+		assert.ok(set(second, { kind: 'attribute', name: 'a' }, 'v').includes('<Row a="v">'));
+		assert.ok(set(second, { kind: 'attribute', name: 'b' }, 'v').includes('<Row a="" b="v">'));
+	});
+});
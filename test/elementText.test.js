@@ -0,0 +1,25 @@
+const assert = require('assert');
+const { buildIndex } = require('../src/utils/indexer');
+const { getElementPreview } = require('../src/utils/elementText');
+
+const text = `<Items>
+	<Item>  first
+		item </Item>
+	<Item sku="A&amp;B"/>
+	<Item><Name>Ada</Name></Item>
+	<Item></Item>
+</Items>`;
+
+suite('Element text', () => {
+	test('previews own text, then the first attribute, then nested text', () => {
+		const model = buildIndex(text);
+		const previews = model.elements.filter(e => e.tag === 'Item').map(e => getElementPreview(model, e, text));
+		assert.deepStrictEqual(previews, ['first item', 'sku=A&B', 'Ada', '']);
+	});
+
+	test('truncates long previews', () => {
+		const long = `<a>${'x'.repeat(100)}</a>`;
+		const model = buildIndex(long);
+		assert.strictEqual(getElementPreview(model, model.elements[0], long, 10), `${'x'.repeat(9)}…`);
+	});
+});
@@ -0,0 +1,39 @@
+const assert = require('assert');
+const { buildIndex, collectIndexedEntries } = require('../src/utils/indexer');
+const { assignPaths } = require('../src/utils/elementPath');
+const { compileKeyRules, applyKeyRules } = require('../src/utils/keyRules');
+const { createIndexRules } = require('../src/utils/indexRules');
+const { parseFilter, createEntryFilter } = require('../src/utils/entryFilter');
+
+const text = '<Orders><Order id="A7"><Note>rush &amp; gift</Note></Order><Order id="B2"><Note>standard</Note></Order></Orders>';
+
+function filtered(query) {
+	const model = buildIndex(text);
+	const keyRules = compileKeyRules({ Order: '@id' });
+	const entries = applyKeyRules(collectIndexedEntries(model, createIndexRules()), keyRules, model, text);
+	assignPaths(entries, model, { keyRules, text });
+	const matches = createEntryFilter(query, model, text);
+	return entries.filter(matches).map(entry => entry.keyPath || entry.path);
+}
+
+suite('Entry filter', () => {
+	test('matches any field as a case-insensitive substring', () => {
+		assert.deepStrictEqual(filtered('order'), ["/Orders/Order[@id='A7']", "/Orders/Order[@id='B2']"]);
+		assert.deepStrictEqual(filtered('b2'), ["/Orders/Order[@id='B2']"]);
+		assert.deepStrictEqual(filtered('& GIFT'), ["/Orders/Order[@id='A7']"]);
+	});
+
+	test('restricts the search to a prefixed field', () => {
+		assert.deepStrictEqual(filtered('tag:Note'), []);
+		assert.deepStrictEqual(filtered('key:A'), ["/Orders/Order[@id='A7']"]);
+		assert.deepStrictEqual(filtered('text:standard'), ["/Orders/Order[@id='B2']"]);
+		assert.deepStrictEqual(filtered('path:Order[2]'), ["/Orders/Order[@id='B2']"]);
+	});
+
+	test('supports regular expressions and rejects invalid ones', () => {
+		assert.deepStrictEqual(filtered('key:/^[AB]\\d$/'), ["/Orders/Order[@id='A7']", "/Orders/Order[@id='B2']"]);
+		assert.deepStrictEqual(filtered('/^b/i'), ["/Orders/Order[@id='B2']"]);
+		assert.strictEqual(parseFilter('other:x').field, null);
+		assert.throws(() => parseFilter('/[/'), SyntaxError);
+	});
+});
@@ -0,0 +1,31 @@
+const assert = require('assert');
+const { buildIndex } = require('../src/utils/indexer');
+const { collectFoldingRanges, elementFoldingRange } = require('../src/utils/folding');
+
+const text = `<Orders>
+	<Order><Line>1</Line>
+		<Line>2</Line>
+	</Order>
+	<Order>
+	</Order>
+	<Order/>
+</Orders>`;
+
+suite('Folding', () => {
+	test('folds multi-line elements up to the line before their end tag', () => {
+		const model = buildIndex(text);
+		assert.deepStrictEqual(collectFoldingRanges(model), [
+			{ start: 0, end: 6 },
+			{ start: 1, end: 2 },
+			{ start: 4, end: 5 }
+		]);
+	});
+
+	test('has no region for one-line, self-closing or unclosed elements', () => {
+		const model = buildIndex(`${text}\n<Tail>\n<Open>`);
+		const byTag = tag => model.elements.filter(e => e.tag === tag);
+		assert.strictEqual(elementFoldingRange(model, byTag('Line')[0]), null);
+		assert.strictEqual(elementFoldingRange(model, byTag('Order')[2]), null);
+		assert.strictEqual(elementFoldingRange(model, byTag('Open')[0]), null);
+	});
+});
@@ -0,0 +1,42 @@
+const assert = require('assert');
+const { buildIndex } = require('../src/utils/indexer');
+const { compileIconRules, resolveIcon } = require('../src/utils/iconRules');
+
+const text = '<p:Document xmlns:p="urn:acme:orders"><Header/><Part><Item/></Part><Payload/></p:Document>';
+
+function iconsOf(rules) {
+	const model = buildIndex(text);
+	return Object.fromEntries(model.elements.map(element => [element.tag, resolveIcon(rules, element)]));
+}
+
+suite('Icon rules', () => {
+	test('defaults match exact local names only', () => {
+		const icons = iconsOf(compileIconRules());
+		assert.deepStrictEqual(icons['p:Document'], { icon: 'folder', color: null });
+		assert.strictEqual(icons.Header.icon, 'symbol-method');
+		assert.strictEqual(icons.Item.icon, 'symbol-property');
+		// No more substring hits: "Part" and "Payload" contain "a" and "p"
+		assert.strictEqual(icons.Part.icon, 'symbol-xml');
+		assert.strictEqual(icons.Payload.icon, 'symbol-xml');
+	});
+
+	test('user rules match tag, namespace and depth before the defaults', () => {
+		const rules = compileIconRules([
+			{ tag: 'Pa*', icon: 'package' },
+			{ namespace: 'urn:acme:*', color: 'charts.blue' },
+			{ depth: 3, icon: 'circle-filled', color: 'charts.red' },
+			{ tag: 'Header', color: 'charts.green' }
+		]);
+		const icons = iconsOf(rules);
+		assert.deepStrictEqual(icons.Part, { icon: 'package', color: null });
+		assert.deepStrictEqual(icons['p:Document'], { icon: 'folder', color: 'charts.blue' });
+		assert.deepStrictEqual(icons.Item, { icon: 'circle-filled', color: 'charts.red' });
+		assert.deepStrictEqual(icons.Header, { icon: 'symbol-method', color: 'charts.green' });
+	});
+
+	test('reports invalid rules', () => {
+		const rules = compileIconRules([{ tag: '/[/', icon: 'x' }, { tag: 'Item' }, null]);
+		assert.strictEqual(rules.invalid.length, 3);
+		assert.strictEqual(rules.length, 13);
+	});
+});
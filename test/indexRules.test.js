@@ -0,0 +1,43 @@
+const assert = require('assert');
+const { buildIndex, collectIndexedEntries } = require('../src/utils/indexer');
+const { createIndexRules } = require('../src/utils/indexRules');
+
+const text = `<Order xmlns:ds="http://www.w3.org/2000/09/xmldsig#" xmlns:x="urn:x">
+	<Header/>
+	<LineItem/><LineItem/>
+	<LineNote/><LineNote/>
+	<x:Item/><x:Item/>
+	<ds:Signature><ds:Reference/><ds:Reference/></ds:Signature>
+</Order>`;
+
+function indexedTags(settings) {
+	return collectIndexedEntries(buildIndex(text), createIndexRules(settings)).map(e => e.tag);
+}
+
+suite('Index rules', () => {
+	test('defaults to repeated siblings only', () => {
+		assert.deepStrictEqual(indexedTags({}),
+			['LineItem', 'LineItem', 'LineNote', 'LineNote', 'x:Item', 'x:Item', 'ds:Reference', 'ds:Reference']);
+	});
+
+	test('indexes singletons when minimumSiblings is 1', () => {
+		assert.deepStrictEqual(indexedTags({ minimumSiblings: 1, maxDepth: 2 }),
+			['Order', 'Header', 'LineItem', 'LineItem', 'LineNote', 'LineNote', 'x:Item', 'x:Item', 'ds:Signature']);
+	});
+
+	test('matches glob, qualified and regular expression patterns', () => {
+		assert.deepStrictEqual(indexedTags({ includeTags: ['Line*'] }), ['LineItem', 'LineItem', 'LineNote', 'LineNote']);
+		assert.deepStrictEqual(indexedTags({ includeTags: ['*:Item'] }), ['x:Item', 'x:Item']);
+		assert.deepStrictEqual(indexedTags({ includeTags: ['/item$/i'], excludeTags: ['x:*'] }), ['LineItem', 'LineItem']);
+	});
+
+	test('skips whole subtrees by local name', () => {
+		assert.deepStrictEqual(indexedTags({ skipSubtrees: ['Signature'], excludeTags: ['Line*'] }), ['x:Item', 'x:Item']);
+	});
+
+	test('reports invalid regular expressions instead of throwing', () => {
+		const rules = createIndexRules({ includeTags: ['/(/', 'Line*'] });
+		assert.strictEqual(rules.invalid.length, 1);
+		assert.strictEqual(rules.includeTags.length, 1);
+	});
+});
@@ -0,0 +1,66 @@
+const assert = require('assert');
+const { buildIndex, applyEdit } = require('../src/utils/indexer');
+const { createIndexRules } = require('../src/utils/indexRules');
+const { compileKeyRules } = require('../src/utils/keyRules');
+const { deriveEntries, updateEntries } = require('../src/utils/indexedEntries');
+
+const text = `<Orders>
+	<Order id="41">
+		<Line sku="A"/>
+		<Line sku="B"/>
+	</Order>
+	<Order id="42">
+		<Line sku="C"/>
+		<Line sku="C"/>
+	</Order>
+	<Archive>
+		<Order id="1"/>
+		<Order id="2"/>
+	</Archive>
+</Orders>`;
+
+// Update the entries after an incremental edit and derive them from scratch
+function edit(source, start, end, inserted, options) {
+	const model = buildIndex(source);
+	const entries = deriveEntries(model, { ...options, text: source });
+	const next = source.slice(0, start) + inserted + source.slice(end);
+	const elementsBefore = model.elements;
+	const renumbered = applyEdit(model, { start, end, delta: inserted.length - (end - start) }, (from, to) => next.slice(from, to));
+	return {
+		updated: updateEntries(entries, model, elementsBefore, renumbered[0], { ...options, text: next }),
+		expected: deriveEntries(buildIndex(next), { ...options, text: next })
+	};
+}
+
+suite('Indexed entries', () => {
+	const keyRules = compileKeyRules({ Order: '@id', Line: '@sku' });
+
+	test('re-derives the edited subtree and shifts the rest', () => {
+		const at = text.indexOf('<Line sku="B"/>');
+		const { updated, expected } = edit(text, at, at, '<Line sku="A"/>\n\t\t', { rules: createIndexRules(), keyRules });
+		assert.deepStrictEqual(updated, expected);
+		assert.deepStrictEqual(updated.filter(e => e.duplicateKey).map(e => e.keyPath),
+			['/Orders/Order[@id=\'41\']/Line[@sku=\'A\']', '/Orders/Order[@id=\'41\']/Line[@sku=\'A\']',
+				'/Orders/Order[@id=\'42\']/Line[@sku=\'C\']', '/Orders/Order[@id=\'42\']/Line[@sku=\'C\']']);
+	});
+
+	test('shifts ids and offsets after a deletion', () => {
+		const start = text.indexOf('<Line sku="C"/>');
+		const { updated, expected } = edit(text, start, start + '<Line sku="C"/>'.length, '', { rules: createIndexRules(), keyRules });
+		assert.deepStrictEqual(updated, expected);
+	});
+
+	test('keeps skipped subtrees out', () => {
+		const at = text.indexOf('<Order id="2"/>');
+		const options = { rules: createIndexRules({ skipSubtrees: ['Archive'] }) };
+		const { updated, expected } = edit(text, at, at, '<Order id="3"/>', options);
+		assert.deepStrictEqual(updated, expected);
+		assert.ok(!updated.some(e => e.path.startsWith('/Orders/Archive')));
+	});
+
+	test('gives up when a key may come from the edited content', () => {
+		const at = text.indexOf('<Line sku="A"/>');
+		const { updated } = edit(text, at, at, '<Id>7</Id>', { rules: createIndexRules(), keyRules: compileKeyRules({ Order: 'Id' }) });
+		assert.strictEqual(updated, null);
+	});
+});
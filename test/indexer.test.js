@@ -0,0 +1,141 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { buildIndex, applyEdit, collectIndexedEntries, elementAt } = require('../src/utils/indexer');
+const { indexInWorker } = require('../src/utils/workerIndexer');
+const { assignPaths } = require('../src/utils/elementPath');
+
+function fixture(name) {
+	return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+// Apply a text replacement both incrementally and from scratch
+function edit(text, start, end, inserted) {
+	const model = buildIndex(text);
+	const next = text.slice(0, start) + inserted + text.slice(end);
+	const renumbered = applyEdit(model, { start, end, delta: inserted.length - (end - start) }, (from, to) => next.slice(from, to));
+	return { model, renumbered, expected: buildIndex(next) };
+}
+
+suite('Indexer', () => {
+	test('records element ranges, parents and text spans', () => {
+		const text = fixture('soap.xml');
+		const { elements } = buildIndex(text);
+		const items = elements.filter(e => e.tag === 'Item');
+		assert.strictEqual(items.length, 3);
+		assert.ok(items.every(e => elements[e.parent - 1].tag === 'Items'));
+		assert.strictEqual(text.slice(items[0].start, items[0].end), '<Item sku="A>1">one</Item>');
+		assert.strictEqual(text.slice(items[0].startTagEnd, items[0].closeStart), 'one');
+		assert.deepStrictEqual(items[1].textSpans.map(s => text.slice(s.start, s.end)), ['two', ' <Item>nested</Item> ']);
+		assert.strictEqual(items[2].selfClosing, true);
+	});
+
+	test('numbers repeated siblings per parent with line numbers', () => {
+		const entries = collectIndexedEntries(buildIndex(fixture('soap.xml')));
+		assert.deepStrictEqual(entries.map(e => `${e.tag} ${e.orderInTag}/${e.totalInTag} @${e.line}`),
+			['Item 1/3 @5', 'Item 2/3 @6', 'Item 3/3 @7']);
+	});
+
+	test('does not count commented-out elements', () => {
+		const entries = collectIndexedEntries(buildIndex(fixture('comments.xml')));
+		assert.deepStrictEqual(entries.map(e => e.totalInTag), [2, 2]);
+	});
+
+	test('records mismatched, stray and unclosed tags and recovers', () => {
+		const text = fixture('malformed.xml');
+		const model = buildIndex(text);
+		assert.deepStrictEqual(model.problems.map(p => `${p.message} @${text.slice(p.start, p.end)}`), [
+			'Element <Orders> is not closed @Orders',
+			'Element <Note> is not closed @Note',
+			'End tag </Order> does not match the open <Note> @</Order>',
+			'End tag </Stray> has no matching start tag @</Stray>',
+			'Element <Order> is not closed @Order'
+		]);
+		const orders = model.elements.filter(e => e.tag === 'Order');
+		assert.deepStrictEqual(orders.map(e => `${e.orderInTag}/${e.totalInTag}`), ['1/3', '2/3', '3/3']);
+		assert.ok(orders.every(e => model.elements[e.parent - 1].tag === 'Orders'));
+	});
+
+	test('marks entries after the first problem as unreliable', () => {
+		const entries = collectIndexedEntries(buildIndex('<r><a/><a/><b><c></b><a/></r>'));
+		assert.deepStrictEqual(entries.map(e => e.unreliable), [false, false, true]);
+	});
+
+	test('finds the innermost element at an offset', () => {
+		const text = '<r> <a>x</a><b/> </r>';
+		const model = buildIndex(text);
+		const tagAt = offset => elementAt(model, offset)?.tag;
+		assert.strictEqual(tagAt(text.indexOf('x')), 'a');
+		assert.strictEqual(tagAt(text.indexOf('<b')), 'b');
+		assert.strictEqual(tagAt(text.indexOf('</a>') + 4), 'b');
+		assert.strictEqual(tagAt(2), 'r');
+		assert.strictEqual(tagAt(text.length + 1), undefined);
+	});
+
+	test('reparses only the edited subtree and matches a full rebuild', () => {
+		const text = fixture('soap.xml');
+		const at = text.indexOf('<Item sku="C"/>');
+		const { model, renumbered, expected } = edit(text, at, at, '<Item sku="B2">\n                extra</Item>\n            ');
+		assert.ok(renumbered);
+		assert.strictEqual(model.elements[renumbered[0] - 1].tag, 'Items');
+		assert.deepStrictEqual(model, expected);
+		assert.deepStrictEqual(collectIndexedEntries(model).map(e => `${e.orderInTag}/${e.totalInTag} @${e.line}`),
+			['1/4 @5', '2/4 @6', '3/4 @7', '4/4 @9']);
+	});
+
+	test('shifts offsets, lines and ids after a deletion', () => {
+		const text = '<r>\n<a><b/>\n<b/></a>\n<a>\n<b/></a>\n</r>';
+		const start = text.indexOf('<b/>\n<b/>');
+		const { model, renumbered, expected } = edit(text, start, start + 5, '');
+		assert.ok(renumbered);
+		assert.deepStrictEqual(model, expected);
+	});
+
+	test('gives up when an edit crosses element boundaries', () => {
+		const text = '<r><a>1</a><a>2</a></r>';
+		const start = text.indexOf('</a>');
+		assert.strictEqual(edit(text, start, start + 4, '').renumbered, null);
+		assert.strictEqual(edit(text, 4, 4, '<!--').renumbered, null);
+		assert.strictEqual(edit(text, 4, 4, '<b>').renumbered, null);
+	});
+});
+
+suite('Worker indexer', () => {
+	const text = `<Items>\n${Array.from({ length: 500 }, (_, i) => `  <Item id="${i}"/>`).join('\n')}\n</Items>`;
+
+	test('streams provisional batches and resolves with the full model', async () => {
+		const seen = [];
+		const model = await indexInWorker(text, {
+			progressInterval: 100,
+			onProgress: (partial, fraction) => seen.push([partial.elements.length, fraction])
+		});
+		assert.deepStrictEqual(model, buildIndex(text));
+		assert.deepStrictEqual(seen.map(([count]) => count), [100, 200, 300, 400, 500, 501]);
+		assert.strictEqual(seen[seen.length - 1][1], 1);
+	});
+
+	test('links provisional children so paths resolve on partial models', async () => {
+		const nested = `<Items>\n${Array.from({ length: 150 }, (_, i) => `  <Item><Name>${i}</Name></Item>`).join('\n')}\n</Items>`;
+		const paths = [];
+		await indexInWorker(nested, {
+			progressInterval: 100,
+			onProgress: partial => paths.push(assignPaths(collectIndexedEntries(partial), partial).map(entry => entry.path))
+		});
+		assert.deepStrictEqual(paths[0].slice(0, 2), ['/Items/Item[1]', '/Items/Item[2]']);
+		assert.strictEqual(paths[0].length, 50);
+		assert.strictEqual(paths[paths.length - 1][149], '/Items/Item[150]');
+	});
+
+	test('resolves with null when cancelled', async () => {
+		let cancel = null;
+		const token = {
+			isCancellationRequested: false,
+			onCancellationRequested(listener) {
+				cancel = listener;
+				return { dispose() {} };
+			}
+		};
+		const result = indexInWorker(text, { token, progressInterval: 100, onProgress: () => cancel() });
+		assert.strictEqual(await result, null);
+	});
+});
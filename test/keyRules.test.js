@@ -0,0 +1,43 @@
+const assert = require('assert');
+const { buildIndex, collectIndexedEntries } = require('../src/utils/indexer');
+const { compileKeyRules, applyKeyRules } = require('../src/utils/keyRules');
+
+const text = `<Store>
+	<Items>
+		<Item id="SKU-44"/>
+		<Item id="SKU-7&amp;8"/>
+		<Item id="SKU-44"/>
+		<Item/>
+	</Items>
+	<Staff>
+		<Employee><Name> Ada
+			Lovelace </Name></Employee>
+		<Employee><Name><![CDATA[Grace <Hopper>]]></Name></Employee>
+	</Staff>
+</Store>`;
+
+function keyed(setting) {
+	const model = buildIndex(text);
+	return applyKeyRules(collectIndexedEntries(model), compileKeyRules(setting), model, text);
+}
+
+suite('Key rules', () => {
+	test('labels elements by attribute and flags duplicate keys', () => {
+		const items = keyed({ Item: '@id' }).filter(e => e.tag === 'Item');
+		assert.deepStrictEqual(items.map(e => [e.keyName, e.key, Boolean(e.duplicateKey)]), [
+			['id', 'SKU-44', true],
+			['id', 'SKU-7&8', false],
+			['id', 'SKU-44', true],
+			[undefined, undefined, false]
+		]);
+	});
+
+	test('labels elements by the text of a child element', () => {
+		const employees = keyed({ Employee: 'Name' }).filter(e => e.tag === 'Employee');
+		assert.deepStrictEqual(employees.map(e => e.key), ['Ada Lovelace', 'Grace <Hopper>']);
+	});
+
+	test('leaves entries alone without rules', () => {
+		assert.ok(keyed({}).every(e => e.key === undefined));
+	});
+});
@@ -0,0 +1,36 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { buildIndex } = require('../src/utils/indexer');
+const { shortAlias, formatElementName } = require('../src/utils/namespaces');
+
+const SOAP = 'http://schemas.xmlsoap.org/soap/envelope/';
+
+suite('Namespaces', () => {
+	const { elements } = buildIndex(fs.readFileSync(path.join(__dirname, 'fixtures', 'namespaces.xml'), 'utf8'));
+	const envelopes = elements.filter(e => e.localName === 'Envelope');
+
+	test('resolves prefixes against the declarations in scope', () => {
+		assert.deepStrictEqual(envelopes.map(e => e.expandedName), [
+			`{${SOAP}}Envelope`,
+			`{${SOAP}}Envelope`,
+			'{urn:example:v1}Envelope',
+			'{urn:legacy:envelope}Envelope'
+		]);
+		assert.strictEqual(elements.find(e => e.tag === 'Body').namespace, 'urn:example:v1');
+	});
+
+	test('numbers siblings by expanded name rather than prefix', () => {
+		assert.deepStrictEqual(envelopes.map(e => `${e.tag} ${e.orderInTag}/${e.totalInTag}`),
+			['soap:Envelope 1/2', 's:Envelope 2/2', 'Envelope 1/1', 'soap:Envelope 1/1']);
+	});
+
+	test('formats names by prefix, alias or local name', () => {
+		const [first] = envelopes;
+		assert.strictEqual(formatElementName(first, 'prefix'), 'soap:Envelope');
+		assert.strictEqual(formatElementName(first, 'alias'), 'envelope:Envelope');
+		assert.strictEqual(formatElementName(first, 'alias', { [SOAP]: 'env' }), 'env:Envelope');
+		assert.strictEqual(formatElementName(first, 'local'), 'Envelope');
+		assert.strictEqual(shortAlias('urn:oasis:names:tc:SAML:2.0:assertion'), 'assertion');
+	});
+});
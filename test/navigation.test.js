@@ -0,0 +1,30 @@
+const assert = require('assert');
+const { buildIndex } = require('../src/utils/indexer');
+const { navigate } = require('../src/utils/navigation');
+
+const text = '<r><a>1</a><b/><a>2</a><a><c/><c/></a></r>';
+
+suite('Navigation', () => {
+	test('steps within the repeated group and clamps at its ends', () => {
+		const model = buildIndex(text);
+		const [first, second, third] = model.elements.filter(e => e.tag === 'a');
+		assert.strictEqual(navigate(model, first, 'next'), second);
+		assert.strictEqual(navigate(model, first, 'next', 5), third);
+		assert.strictEqual(navigate(model, third, 'previous', 2), first);
+		assert.strictEqual(navigate(model, second, 'last'), third);
+		assert.strictEqual(navigate(model, second, 'first'), first);
+		assert.strictEqual(navigate(model, third, 'next'), null);
+		assert.strictEqual(navigate(model, first, 'first'), null);
+	});
+
+	test('moves to the parent and first child', () => {
+		const model = buildIndex(text);
+		const [root] = model.elements;
+		const c = model.elements.find(e => e.tag === 'c');
+		assert.strictEqual(navigate(model, c, 'parent', 2), root);
+		assert.strictEqual(navigate(model, c, 'parent', 9), root);
+		assert.strictEqual(navigate(model, root, 'firstChild').tag, 'a');
+		assert.strictEqual(navigate(model, root, 'parent'), null);
+		assert.strictEqual(navigate(model, c, 'firstChild'), null);
+	});
+});
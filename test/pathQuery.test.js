@@ -0,0 +1,76 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { buildIndex } = require('../src/utils/indexer');
+const { assignPaths, createPathResolver } = require('../src/utils/elementPath');
+const { compileKeyRules } = require('../src/utils/keyRules');
+const { parsePath, evaluatePath, suggestNextSteps } = require('../src/utils/pathQuery');
+
+const text = `<Orders>
+	<Order id="41"><Line/><Line/></Order>
+	<Order id="42"><Customer>Ada</Customer><Line/><Line/><Item id="A7"/></Order>
+	<Item id="A7"/>
+</Orders>`;
+
+suite('Path queries', () => {
+	test('resolves positional paths produced by the indexer', () => {
+		const model = buildIndex(text);
+		const resolver = createPathResolver(model);
+		for (const element of model.elements) {
+			assert.deepStrictEqual(evaluatePath(model, resolver.path(element), text), [element]);
+		}
+	});
+
+	test('resolves every path assigned to the fixtures back to its element', () => {
+		const fixtures = path.join(__dirname, 'fixtures');
+		for (const file of fs.readdirSync(fixtures)) {
+			const xml = fs.readFileSync(path.join(fixtures, file), 'utf8');
+			const model = buildIndex(xml);
+			const resolver = createPathResolver(model);
+			for (const element of model.elements) {
+				assert.deepStrictEqual(evaluatePath(model, resolver.path(element), xml), [element], `${file}: ${resolver.path(element)}`);
+			}
+		}
+	});
+
+	test('resolves namespaced, aliased and keyed paths', () => {
+		const mixed = '<r xmlns:a="u" xmlns:b="u"><X xmlns="u1"/><X xmlns="u2"/><a:Y/><b:Y/><a:Y><p:N xmlns:p="v">k</p:N></a:Y></r>';
+		const model = buildIndex(mixed);
+		const keyRules = compileKeyRules({ Y: 'N' });
+		const entries = assignPaths(model.elements.map(e => ({ globalSequence: e.id })), model, { keyRules, text: mixed });
+		entries.forEach((entry, i) => {
+			assert.deepStrictEqual(evaluatePath(model, entry.path, mixed), [model.elements[i]], entry.path);
+			assert.ok(evaluatePath(model, entry.keyPath, mixed).includes(model.elements[i]), entry.keyPath);
+		});
+		assert.strictEqual(entries[4].path, '/r/b:Y');
+		assert.strictEqual(entries[5].keyPath, '/r/a:Y[p:N=\'k\']');
+	});
+
+	test('supports descendant steps and predicates', () => {
+		const model = buildIndex(text);
+		const lines = evaluatePath(model, '/Orders/Order[2]/Line[2]', text);
+		assert.deepStrictEqual(lines.map(e => e.line), [2]);
+		assert.strictEqual(evaluatePath(model, '//Item[@id=\'A7\']', text).length, 2);
+		assert.strictEqual(evaluatePath(model, '//Line[1]', text).length, 2);
+		assert.deepStrictEqual(evaluatePath(model, '/Orders/Order[Customer="Ada"]', text).map(e => e.attributes[0].value), ['42']);
+		assert.deepStrictEqual(evaluatePath(model, '/Orders/Order[@id=\'41\']/*', text).map(e => e.tag), ['Line', 'Line']);
+		assert.deepStrictEqual(evaluatePath(model, '/Orders/Order[9]', text), []);
+	});
+
+	test('rejects malformed paths', () => {
+		assert.throws(() => parsePath('Orders/Order'), SyntaxError);
+		assert.throws(() => parsePath('/Orders/'), SyntaxError);
+		assert.throws(() => parsePath('/Orders/Order[@id=\'4]'), SyntaxError);
+		assert.throws(() => parsePath('/Orders/Order[last()]'), /Unsupported predicate/);
+	});
+
+	test('suggests the next step', () => {
+		const model = buildIndex(text);
+		assert.deepStrictEqual(suggestNextSteps(model, '/', text), ['/Orders']);
+		assert.deepStrictEqual(suggestNextSteps(model, '/Orders/O', text), ['/Orders/Order[1]', '/Orders/Order[2]']);
+		assert.deepStrictEqual(suggestNextSteps(model, '/Orders/Order[2]/', text),
+			['/Orders/Order[2]/Customer', '/Orders/Order[2]/Line[1]', '/Orders/Order[2]/Line[2]', '/Orders/Order[2]/Item']);
+		assert.deepStrictEqual(suggestNextSteps(model, '//I', text), ['//Item']);
+		assert.deepStrictEqual(suggestNextSteps(model, '/Nope[/', text), []);
+	});
+});
@@ -0,0 +1,28 @@
+const assert = require('assert');
+const { buildIndex } = require('../src/utils/indexer');
+const { getSelectionSteps } = require('../src/utils/selectionRanges');
+
+const text = '<Order><Line sku="A7">one</Line><Line>two</Line></Order>';
+
+function stepsAt(offset) {
+	return getSelectionSteps(buildIndex(text), text, offset).map(step => text.slice(step.start, step.end));
+}
+
+suite('Selection ranges', () => {
+	test('expands from an attribute value to the root', () => {
+		assert.deepStrictEqual(stepsAt(text.indexOf('A7') + 1), [
+			'A7',
+			'sku="A7"',
+			'<Line sku="A7">',
+			'<Line sku="A7">one</Line>',
+			'<Line sku="A7">one</Line><Line>two</Line>',
+			text
+		]);
+	});
+
+	test('expands from a tag name, the content and an end tag', () => {
+		assert.deepStrictEqual(stepsAt(2).slice(0, 2), ['Order', '<Order>']);
+		assert.deepStrictEqual(stepsAt(text.indexOf('two')).slice(0, 3), ['two', '<Line>two</Line>', '<Line sku="A7">one</Line><Line>two</Line>']);
+		assert.deepStrictEqual(stepsAt(text.indexOf('</Order>') + 3).slice(0, 3), ['Order', '</Order>', text]);
+	});
+});
@@ -0,0 +1,42 @@
+const assert = require('assert');
+const { compileKeyRules } = require('../src/utils/keyRules');
+const { collectSymbols, matchesQuery, createExcludeFilter } = require('../src/utils/workspaceSymbols');
+
+const text = `<Orders>
+	<Order id="41"><Line/><Line/></Order>
+  <Order id="4/2"><Line/></Order>
+</Orders>`;
+
+suite('Workspace symbols', () => {
+	test('names symbols by their last path step with the parent path as container', () => {
+		const symbols = collectSymbols(text);
+		assert.deepStrictEqual(symbols.map(s => [s.name, s.container, s.line, s.character]), [
+			['Order[1]', '/Orders', 1, 1],
+			['Line[1]', '/Orders/Order[1]', 1, 16],
+			['Line[2]', '/Orders/Order[1]', 1, 23],
+			['Order[2]', '/Orders', 2, 2]
+		]);
+	});
+
+	test('uses key predicates when key rules apply', () => {
+		const symbols = collectSymbols(text, { keyRules: compileKeyRules({ Order: '@id' }) });
+		assert.deepStrictEqual(symbols.map(s => s.name), ['Order[@id=\'41\']', 'Line[1]', 'Line[2]', 'Order[@id=\'4/2\']']);
+		assert.strictEqual(symbols[1].container, '/Orders/Order[@id=\'41\']');
+	});
+
+	test('matches queries as case-insensitive subsequences', () => {
+		assert.ok(matchesQuery('Order[@id=\'42\']', 'ord42'));
+		assert.ok(matchesQuery('Order[2]', ''));
+		assert.ok(!matchesQuery('Order[2]', 'line'));
+	});
+
+	test('excludes paths by glob, including through parent folders', () => {
+		const isExcluded = createExcludeFilter(['**/node_modules', 'out/*.xml', '**/*.{tmp,bak}.xml']);
+		assert.ok(isExcluded('node_modules/pkg/a.xml'));
+		assert.ok(isExcluded('src/node_modules/a.xml'));
+		assert.ok(isExcluded('out/a.xml'));
+		assert.ok(isExcluded('fixtures/a.bak.xml'));
+		assert.ok(!isExcluded('out/nested/a.xml'));
+		assert.ok(!isExcluded('fixtures/orders.xml'));
+	});
+});
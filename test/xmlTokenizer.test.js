@@ -0,0 +1,102 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { tokenize, isXmlName, isStartTagContent } = require('../src/utils/xmlTokenizer');
+
+function fixture(name) {
+	return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+function collect(text) {
+	const tokens = [];
+	const record = type => token => tokens.push({ type, ...token });
+	tokenize(text, {
+		onStartTag: record('start'),
+		onEndTag: record('end'),
+		onText: record('text'),
+		onCData: record('cdata'),
+		onComment: record('comment'),
+		onProcessingInstruction: record('pi'),
+		onDoctype: record('doctype'),
+		onError: record('error')
+	});
+	return tokens;
+}
+
+function startTagNames(text) {
+	return collect(text).filter(t => t.type === 'start').map(t => t.name);
+}
+
+suite('XML Tokenizer', () => {
+	test('ignores tags inside comments', () => {
+		assert.deepStrictEqual(startTagNames(fixture('comments.xml')), ['Orders', 'Order', 'Order']);
+	});
+
+	test('ignores tags inside CDATA and reports its content as a span', () => {
+		const text = fixture('cdata.xml');
+		const tokens = collect(text);
+		assert.deepStrictEqual(tokens.filter(t => t.type === 'start').map(t => t.name), ['Script', 'Step', 'Step']);
+		const cdata = tokens.filter(t => t.type === 'cdata');
+		assert.strictEqual(text.slice(cdata[1].contentStart, cdata[1].contentEnd), '<Step/><Step/>');
+	});
+
+	test('keeps ">" inside quoted attribute values', () => {
+		const text = fixture('attribute-gt.xml');
+		const rules = collect(text).filter(t => t.type === 'start' && t.name === 'Rule');
+		assert.strictEqual(rules.length, 2);
+		assert.deepStrictEqual(rules[0].attributes.map(a => [a.name, a.value]), [['when', 'total > 10'], ['then', 'flag > review']]);
+		assert.strictEqual(text.slice(rules[0].start, rules[0].end), '<Rule when="total > 10" then=\'flag > review\'>');
+		const attr = rules[1].attributes[0];
+		assert.strictEqual(text.slice(attr.valueStart, attr.valueEnd), 'a &lt; b &amp;&amp; c > d');
+	});
+
+	test('accepts names with dots and non-ASCII characters', () => {
+		assert.deepStrictEqual(startTagNames(fixture('names.xml')),
+			['config.root', 'app.setting-one', 'app.setting-one', 'Größe', 'Größe', 'データ']);
+	});
+
+	test('skips the XML declaration, DOCTYPE internal subset and processing instructions', () => {
+		const tokens = collect(fixture('prolog.xml'));
+		assert.deepStrictEqual(tokens.filter(t => t.type === 'start').map(t => t.name), ['Envelope', 'Body', 'Item', 'Item']);
+		assert.deepStrictEqual(tokens.filter(t => t.type === 'pi').map(t => t.target), ['xml', 'xml-stylesheet', 'processing']);
+		assert.strictEqual(tokens.filter(t => t.type === 'doctype').length, 1);
+		assert.strictEqual(tokens.filter(t => t.type === 'error').length, 0);
+	});
+
+	test('reports text spans with absolute offsets', () => {
+		const text = '<a>hello<b/>world</a>';
+		const spans = collect(text).filter(t => t.type === 'text').map(t => text.slice(t.start, t.end));
+		assert.deepStrictEqual(spans, ['hello', 'world']);
+	});
+
+	test('honours start and end options', () => {
+		const text = '<a><b/><c/></a>';
+		const names = [];
+		tokenize(text, { onStartTag: t => names.push(`${t.name}@${t.start}`) }, { start: 3, end: 11 });
+		assert.deepStrictEqual(names, ['b@3', 'c@7']);
+	});
+
+	test('reports unterminated constructs as errors', () => {
+		const errors = collect('<a><!-- never closed').filter(t => t.type === 'error');
+		assert.strictEqual(errors.length, 1);
+		assert.strictEqual(errors[0].message, 'Unterminated comment');
+	});
+
+	test('checks names with the rules it reads them by', () => {
+		for (const name of ['Line', 'soap:Body', 'step.2', 'test-case', '_x', 'Größe', '名前']) {
+			assert.strictEqual(isXmlName(name), true, name);
+		}
+		for (const name of ['', '2nd', '-x', '.x', 'a b', 'a/b', 'a>']) {
+			assert.strictEqual(isXmlName(name), false, name);
+		}
+	});
+
+	test('accepts a whole start tag only when it is well-formed', () => {
+		for (const value of ['Group', 'Group id="x"', 'g a=\'1\' b="2>3"']) {
+			assert.strictEqual(isStartTagContent(value), true, value);
+		}
+		for (const value of ['', 'Group id=x', 'Group a="1', 'Group a', 'Group a="1"b="2"', 'Group a="1" a="2"', 'Group a="<"', 'Group/', 'Group>x', '2nd']) {
+			assert.strictEqual(isStartTagContent(value), false, value);
+		}
+	});
+});